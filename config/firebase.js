@@ -108,7 +108,9 @@ initializeFirebase();
 /**
  * Send push notification when a new message arrives.
  * @param {string} receiverFcmToken - FCM token of the receiver
- * @param {object} payload - { chatId, senderId, senderName, receiverId, message }
+ * @param {object} payload - { chatId, senderId, senderName, receiverId, message, groupName?, badge? }
+ *   groupName is set for group chats: title becomes the group name, body is prefixed with the sender.
+ *   badge is the receiver's total unread count (APNs app badge).
  * @returns {Promise<boolean>} - true if sent successfully
  */
 async function sendMessageNotification(receiverFcmToken, payload) {
@@ -133,13 +135,20 @@ async function sendMessageNotification(receiverFcmToken, payload) {
       senderName: String(payload.senderName ?? ''),
       receiverId: String(payload.receiverId ?? ''),
       message: String(payload.message ?? ''),
+      isGroup: payload.groupName ? 'true' : 'false',
+      groupName: String(payload.groupName ?? ''),
     };
 
+    const title = payload.groupName || payload.senderName;
+    const body = payload.groupName && payload.message
+      ? `${payload.senderName || 'Someone'}: ${payload.message}`
+      : payload.message;
+
     const fcmMessage = {
       token: receiverFcmToken.trim(),
       notification: {
-        title: (payload.senderName && String(payload.senderName).slice(0, 50)) || 'New message',
-        body: (payload.message && String(payload.message).slice(0, 100)) || 'You have a new message',
+        title: (title && String(title).slice(0, 50)) || 'New message',
+        body: (body && String(body).slice(0, 100)) || 'You have a new message',
       },
       data: dataPayload,
       android: {
@@ -154,6 +163,7 @@ async function sendMessageNotification(receiverFcmToken, payload) {
           aps: {
             contentAvailable: true,
             sound: 'default',
+            ...(Number.isInteger(payload.badge) ? { badge: payload.badge } : {}),
           },
         },
         fcmOptions: {},
@@ -178,7 +188,7 @@ async function sendMessageNotification(receiverFcmToken, payload) {
  * App can use data.type === 'call' to show incoming-call UI or open call screen.
  *
  * @param {string} calleeFcmToken - FCM token of the callee (receiver of the call)
- * @param {object} payload - { channelId, callerId, callerName, calleeId, callType }
+ * @param {object} payload - { channelId, callerId, callerName, calleeId, callType, callerPhone, isGroup, chatId }
  * @returns {Promise<boolean>}
  */
 async function sendCallOfferNotification(calleeFcmToken, payload) {
@@ -204,12 +214,14 @@ async function sendCallOfferNotification(calleeFcmToken, payload) {
       calleeId: String(payload.calleeId ?? ''),
       callType: String(payload.callType ?? 'audio'),
       callerPhone: String(payload.callerPhone ?? ''),
+      isGroup: payload.isGroup ? 'true' : 'false',
+      chatId: String(payload.chatId ?? ''),
     };
 
     const fcmMessage = {
       token: calleeFcmToken.trim(),
       notification: {
-        title: 'Incoming call',
+        title: payload.isGroup ? 'Incoming group call' : 'Incoming call',
         body: `${payload.callerName || 'Someone'} is calling you (${callType})`,
       },
       data: dataPayload,
@@ -247,7 +259,7 @@ async function sendCallOfferNotification(calleeFcmToken, payload) {
  * App uses data.type === 'missed_call' to show "Missed call from …".
  *
  * @param {string} calleeFcmToken - FCM token of the callee
- * @param {object} payload - { channelId, callerId, callerName, callType, callerPhone }
+ * @param {object} payload - { channelId, callerId, callerName, callType, callerPhone, isGroup }
  * @returns {Promise<boolean>}
  */
 async function sendMissedCallNotification(calleeFcmToken, payload) {
@@ -271,12 +283,13 @@ async function sendMissedCallNotification(calleeFcmToken, payload) {
       callerName: String(payload.callerName ?? ''),
       callType: String(payload.callType ?? 'audio'),
       callerPhone: String(payload.callerPhone ?? ''),
+      isGroup: payload.isGroup ? 'true' : 'false',
     };
 
     const fcmMessage = {
       token: calleeFcmToken.trim(),
       notification: {
-        title: 'Missed call',
+        title: payload.isGroup ? 'Missed group call' : 'Missed call',
         body: `${payload.callerName || 'Someone'} called you`,
       },
       data: dataPayload,
@@ -310,9 +323,140 @@ async function sendMissedCallNotification(calleeFcmToken, payload) {
   }
 }
 
+/**
+ * Low-priority push when someone reacts to your message ("X reacted 👍 to your message").
+ * App uses data.type === 'reaction'.
+ *
+ * @param {string} receiverFcmToken - FCM token of the message sender
+ * @param {object} payload - { chatId, messageId, reactorId, reactorName, emoji }
+ * @returns {Promise<boolean>}
+ */
+async function sendReactionNotification(receiverFcmToken, payload) {
+  const firebaseAdmin = initializeFirebase();
+
+  if (!receiverFcmToken || typeof receiverFcmToken !== 'string' || !receiverFcmToken.trim()) {
+    return false;
+  }
+
+  if (!firebaseAdmin || !isInitialized) {
+    return false;
+  }
+
+  const androidChannelId = process.env.FCM_ANDROID_CHANNEL_ID || 'chat_messages';
+
+  try {
+    const dataPayload = {
+      type: 'reaction',
+      chatId: String(payload.chatId ?? ''),
+      messageId: String(payload.messageId ?? ''),
+      reactorId: String(payload.reactorId ?? ''),
+      reactorName: String(payload.reactorName ?? ''),
+      emoji: String(payload.emoji ?? ''),
+    };
+
+    const fcmMessage = {
+      token: receiverFcmToken.trim(),
+      notification: {
+        title: (payload.reactorName && String(payload.reactorName).slice(0, 50)) || 'New reaction',
+        body: `${payload.reactorName || 'Someone'} reacted ${payload.emoji} to your message`,
+      },
+      data: dataPayload,
+      android: {
+        priority: 'normal',
+        notification: {
+          channelId: androidChannelId,
+        },
+      },
+      apns: {
+        headers: {
+          'apns-priority': '5',
+        },
+        payload: {
+          aps: {},
+        },
+      },
+    };
+
+    await firebaseAdmin.messaging().send(fcmMessage);
+    return true;
+  } catch (err) {
+    if (err.code === 'messaging/invalid-registration-token' || err.code === 'messaging/registration-token-not-registered') {
+      console.warn('FCM reaction: Token invalid/expired:', err.code);
+    } else {
+      console.error('FCM reaction error:', err.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Low-priority push when someone in your synced contacts signs up ("X is on the app").
+ * App uses data.type === 'contact_joined'.
+ *
+ * @param {string} receiverFcmToken - FCM token of the user who has the number in their contacts
+ * @param {object} payload - { userId, mobileNumber, name }
+ * @returns {Promise<boolean>}
+ */
+async function sendContactJoinedNotification(receiverFcmToken, payload) {
+  const firebaseAdmin = initializeFirebase();
+
+  if (!receiverFcmToken || typeof receiverFcmToken !== 'string' || !receiverFcmToken.trim()) {
+    return false;
+  }
+
+  if (!firebaseAdmin || !isInitialized) {
+    return false;
+  }
+
+  const androidChannelId = process.env.FCM_ANDROID_CHANNEL_ID || 'chat_messages';
+
+  try {
+    const fcmMessage = {
+      token: receiverFcmToken.trim(),
+      notification: {
+        title: 'Contact joined',
+        // The app shows its own contact name for mobileNumber when it has one
+        body: `${payload.mobileNumber || 'One of your contacts'} is now on the app`,
+      },
+      data: {
+        type: 'contact_joined',
+        userId: String(payload.userId ?? ''),
+        mobileNumber: String(payload.mobileNumber ?? ''),
+        name: String(payload.name ?? ''),
+      },
+      android: {
+        priority: 'normal',
+        notification: {
+          channelId: androidChannelId,
+        },
+      },
+      apns: {
+        headers: {
+          'apns-priority': '5',
+        },
+        payload: {
+          aps: {},
+        },
+      },
+    };
+
+    await firebaseAdmin.messaging().send(fcmMessage);
+    return true;
+  } catch (err) {
+    if (err.code === 'messaging/invalid-registration-token' || err.code === 'messaging/registration-token-not-registered') {
+      console.warn('FCM contact joined: Token invalid/expired:', err.code);
+    } else {
+      console.error('FCM contact joined error:', err.message);
+    }
+    return false;
+  }
+}
+
 module.exports = {
   initializeFirebase,
   sendMessageNotification,
+  sendReactionNotification,
+  sendContactJoinedNotification,
   sendCallOfferNotification,
   sendMissedCallNotification,
   isFirebaseInitialized: () => isInitialized,
@@ -0,0 +1,105 @@
+/**
+ * Pluggable SMS provider for login OTPs.
+ * SMS_PROVIDER=console (default): logs the code, for local development.
+ * SMS_PROVIDER=file: appends { mobileNumber, otp, sentAt } as a JSON line to SMS_OUTBOX_FILE
+ *   (default ./sms-outbox.jsonl), so tests can read the code back.
+ * SMS_PROVIDER=twilio-verify: Twilio Verify generates, sends and checks the code
+ *   (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_VERIFY_SERVICE_SID).
+ * SMS_PROVIDER=twilio-sms: our code sent as a plain SMS (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER).
+ *
+ * Every provider implements: sendOTP(mobileNumber, otp).
+ * Providers with checksCodes: true also implement verifyOTP(mobileNumber, otp) -> boolean,
+ * and sendOTP ignores otp (the provider makes its own).
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const createConsoleSms = () => ({
+  name: 'console',
+  checksCodes: false,
+
+  async sendOTP(mobileNumber, otp) {
+    console.log(`SMS (console): OTP for ${mobileNumber} is ${otp}`);
+  },
+});
+
+const createFileSms = () => {
+  const outbox = path.resolve(process.cwd(), process.env.SMS_OUTBOX_FILE || 'sms-outbox.jsonl');
+
+  return {
+    name: 'file',
+    checksCodes: false,
+
+    async sendOTP(mobileNumber, otp) {
+      const line = JSON.stringify({ mobileNumber, otp, sentAt: new Date().toISOString() });
+      await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+      await fs.promises.appendFile(outbox, `${line}\n`);
+    },
+  };
+};
+
+const createTwilioVerifySms = () => {
+  const { sendOTPViaSMS, verifyOTPViaSMS } = require('./twilio');
+
+  return {
+    name: 'twilio-verify',
+    checksCodes: true,
+
+    async sendOTP(mobileNumber) {
+      await sendOTPViaSMS(mobileNumber);
+    },
+
+    async verifyOTP(mobileNumber, otp) {
+      const result = await verifyOTPViaSMS(mobileNumber, otp);
+      return result.success;
+    },
+  };
+};
+
+const createTwilioSms = () => {
+  const { sendCustomOTPSMS } = require('./twilio');
+
+  return {
+    name: 'twilio-sms',
+    checksCodes: false,
+
+    async sendOTP(mobileNumber, otp) {
+      await sendCustomOTPSMS(mobileNumber, otp);
+    },
+  };
+};
+
+let smsProvider = null;
+
+const getSmsProvider = () => {
+  if (!smsProvider) {
+    const driver = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+
+    if (driver === 'twilio-verify') {
+      smsProvider = createTwilioVerifySms();
+    } else if (driver === 'twilio-sms') {
+      smsProvider = createTwilioSms();
+    } else if (driver === 'file') {
+      smsProvider = createFileSms();
+    } else if (driver === 'console') {
+      smsProvider = createConsoleSms();
+    } else {
+      throw new Error(`Unknown SMS_PROVIDER: ${driver}`);
+    }
+
+    if (process.env.NODE_ENV === 'production' && !driver.startsWith('twilio')) {
+      console.warn(`SMS: SMS_PROVIDER=${driver} does not deliver OTPs to phones`);
+    }
+  }
+
+  return smsProvider;
+};
+
+module.exports = {
+  getSmsProvider,
+  createConsoleSms,
+  createFileSms,
+  createTwilioVerifySms,
+  createTwilioSms,
+};
@@ -0,0 +1,343 @@
+/**
+ * Shared live state for the socket layer (presence, active calls, call dedupe and ring timers),
+ * so several server instances can run behind a load balancer.
+ * STATE_STORE=memory (default): in-process only, for a single instance.
+ * STATE_STORE=redis: any Redis-compatible server (Redis, Valkey, KeyDB, ...) at REDIS_URL.
+ *   Also enables the socket.io Redis adapter, so io.to(room | socketId) reaches sockets on every instance.
+ *   REDIS_KEY_PREFIX (default "chat-backend:") namespaces the keys.
+ *
+ * Every store implements (all async):
+ *   addUserSocket(userId, socketId) -> sockets now, removeUserSocket(userId, socketId) -> sockets left,
+ *   isUserOnline(userId), getOnlineUserIds(userIds) -> Set of those online,
+ *   refreshUserSockets([[userId, socketId], ...]) (presence heartbeat for this instance's sockets)
+ *   getCall(channelId), saveCall(channelId, call), deleteCall(channelId), findCallByUser(userId)
+ *   markInviteSent(channelId) -> false if it already was, clearInviteSent(channelId)
+ *   markChannelEnded(channelId), isChannelEnded(channelId)
+ *   startRing(channelId, ms), claimRing(channelId) -> true for exactly one caller while the ring is pending
+ *   incrementCounter(name, windowMs, by = 1) -> { count, resetAt } (fixed-window counter, for quotas and rate limits)
+ *
+ * Calls are stored as JSON, so dates come back as ISO strings in both stores. findCallByUser finds
+ * the call a user is ringing or joined in (see utils/calls.js for the call shape).
+ */
+
+// A socket whose instance stops refreshing it (crash) drops out of presence after this long
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS, 10) || 90 * 1000;
+// Safety net for calls whose end was never signaled
+const CALL_TTL_SECONDS = 6 * 60 * 60;
+// How long an ended/rejected channelId is remembered (no re-invite or FCM for it)
+const ENDED_CHANNEL_TTL_SECONDS = 24 * 60 * 60;
+
+const toJSON = (value) => JSON.parse(JSON.stringify(value));
+
+// Participants a call keeps busy, and the ones it no longer does
+const callUserIds = (call) => {
+  const active = [];
+  const inactive = [];
+  for (const participant of call.participants || []) {
+    const isInCall = participant.state === 'ringing' || participant.state === 'joined';
+    (isInCall ? active : inactive).push(String(participant.userId));
+  }
+  return { active, inactive };
+};
+
+const createMemoryStateStore = () => {
+  const userSockets = new Map(); // userId -> Set of socketIds
+  const calls = new Map(); // channelId -> call
+  const userCalls = new Map(); // userId -> channelId
+  const invitesSent = new Set();
+  const endedChannels = new Map(); // channelId -> expiry timestamp
+  const pendingRings = new Set();
+  const counters = new Map(); // name -> { count, resetAt }
+
+  return {
+    name: 'memory',
+
+    async addUserSocket(userId, socketId) {
+      const key = String(userId);
+      if (!userSockets.has(key)) userSockets.set(key, new Set());
+      userSockets.get(key).add(socketId);
+      return userSockets.get(key).size;
+    },
+
+    async removeUserSocket(userId, socketId) {
+      const key = String(userId);
+      const sockets = userSockets.get(key);
+      if (!sockets) return 0;
+      sockets.delete(socketId);
+      if (sockets.size === 0) userSockets.delete(key);
+      return sockets.size;
+    },
+
+    async isUserOnline(userId) {
+      return userSockets.has(String(userId));
+    },
+
+    async getOnlineUserIds(userIds) {
+      return new Set(userIds.map(String).filter((id) => userSockets.has(id)));
+    },
+
+    async refreshUserSockets() {},
+
+    async getCall(channelId) {
+      const call = calls.get(String(channelId));
+      return call ? toJSON(call) : null;
+    },
+
+    async saveCall(channelId, call) {
+      const id = String(channelId);
+      calls.set(id, toJSON(call));
+      const { active, inactive } = callUserIds(call);
+      active.forEach((userId) => userCalls.set(userId, id));
+      inactive.forEach((userId) => {
+        if (userCalls.get(userId) === id) userCalls.delete(userId);
+      });
+    },
+
+    async deleteCall(channelId) {
+      const id = String(channelId);
+      const call = calls.get(id);
+      calls.delete(id);
+      if (!call) return;
+      const { active, inactive } = callUserIds(call);
+      for (const userId of [...active, ...inactive]) {
+        if (userCalls.get(userId) === id) userCalls.delete(userId);
+      }
+    },
+
+    async findCallByUser(userId) {
+      const channelId = userCalls.get(String(userId));
+      return channelId ? this.getCall(channelId) : null;
+    },
+
+    async markInviteSent(channelId) {
+      const id = String(channelId);
+      if (invitesSent.has(id)) return false;
+      invitesSent.add(id);
+      return true;
+    },
+
+    async clearInviteSent(channelId) {
+      invitesSent.delete(String(channelId));
+    },
+
+    async markChannelEnded(channelId) {
+      endedChannels.set(String(channelId), Date.now() + ENDED_CHANNEL_TTL_SECONDS * 1000);
+    },
+
+    async isChannelEnded(channelId) {
+      const id = String(channelId);
+      const expiresAt = endedChannels.get(id);
+      if (!expiresAt) return false;
+      if (expiresAt < Date.now()) {
+        endedChannels.delete(id);
+        return false;
+      }
+      return true;
+    },
+
+    async startRing(channelId) {
+      pendingRings.add(String(channelId));
+    },
+
+    async claimRing(channelId) {
+      return pendingRings.delete(String(channelId));
+    },
+
+    async incrementCounter(name, windowMs, by = 1) {
+      const now = Date.now();
+      let counter = counters.get(name);
+      if (!counter || counter.resetAt <= now) {
+        // Drop expired windows now and then, so one-off keys don't pile up
+        if (counters.size >= 10000) {
+          for (const [key, value] of counters) {
+            if (value.resetAt <= now) counters.delete(key);
+          }
+        }
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(name, counter);
+      }
+      counter.count += by;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+};
+
+const createRedisStateStore = () => {
+  const Redis = require('ioredis');
+
+  const url = process.env.REDIS_URL;
+  if (!url) {
+    throw new Error('REDIS_URL must be set in environment when STATE_STORE=redis');
+  }
+
+  const prefix = process.env.REDIS_KEY_PREFIX || 'chat-backend:';
+  // RESP2 works with every Redis-compatible server, including ones without HELLO 3
+  const client = new Redis(url, { protocol: 2 });
+  client.on('error', (err) => console.error('Redis state store error:', err.message));
+
+  const key = (...parts) => prefix + parts.join(':');
+
+  const onlineCount = (userId) =>
+    client.zcount(key('presence', userId), Date.now() - PRESENCE_TTL_MS, '+inf');
+
+  const getCall = async (channelId) => {
+    const raw = await client.get(key('call', channelId));
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  const clearUserCalls = async (channelId, userIds) => {
+    for (const userId of userIds) {
+      // Leave the index alone if the user has moved on to another call
+      if ((await client.get(key('user-call', userId))) === String(channelId)) {
+        await client.del(key('user-call', userId));
+      }
+    }
+  };
+
+  return {
+    name: 'redis',
+    client,
+    prefix,
+
+    // Presence: one sorted set per user, socketId scored by its last heartbeat
+    async addUserSocket(userId, socketId) {
+      await client
+        .multi()
+        .zadd(key('presence', userId), Date.now(), socketId)
+        .pexpire(key('presence', userId), PRESENCE_TTL_MS)
+        .exec();
+      return onlineCount(userId);
+    },
+
+    async removeUserSocket(userId, socketId) {
+      await client.zrem(key('presence', userId), socketId);
+      return onlineCount(userId);
+    },
+
+    async isUserOnline(userId) {
+      return (await onlineCount(userId)) > 0;
+    },
+
+    async getOnlineUserIds(userIds) {
+      const ids = userIds.map(String);
+      if (ids.length === 0) return new Set();
+      const since = Date.now() - PRESENCE_TTL_MS;
+      const pipeline = client.pipeline();
+      ids.forEach((id) => pipeline.zcount(key('presence', id), since, '+inf'));
+      const results = await pipeline.exec();
+      return new Set(ids.filter((id, i) => results[i][1] > 0));
+    },
+
+    async refreshUserSockets(entries) {
+      if (entries.length === 0) return;
+      const now = Date.now();
+      const pipeline = client.pipeline();
+      for (const [userId, socketId] of entries) {
+        pipeline.zadd(key('presence', userId), now, socketId);
+        pipeline.pexpire(key('presence', userId), PRESENCE_TTL_MS);
+      }
+      await pipeline.exec();
+    },
+
+    getCall,
+
+    async saveCall(channelId, call) {
+      const { active, inactive } = callUserIds(call);
+      const multi = client.multi().set(key('call', channelId), JSON.stringify(call), 'EX', CALL_TTL_SECONDS);
+      active.forEach((userId) => multi.set(key('user-call', userId), String(channelId), 'EX', CALL_TTL_SECONDS));
+      await multi.exec();
+      await clearUserCalls(channelId, inactive);
+    },
+
+    async deleteCall(channelId) {
+      const call = await getCall(channelId);
+      await client.del(key('call', channelId));
+      if (!call) return;
+      const { active, inactive } = callUserIds(call);
+      await clearUserCalls(channelId, [...active, ...inactive]);
+    },
+
+    async findCallByUser(userId) {
+      const channelId = await client.get(key('user-call', userId));
+      return channelId ? getCall(channelId) : null;
+    },
+
+    async markInviteSent(channelId) {
+      const result = await client.set(key('invite', channelId), '1', 'EX', ENDED_CHANNEL_TTL_SECONDS, 'NX');
+      return result === 'OK';
+    },
+
+    async clearInviteSent(channelId) {
+      await client.del(key('invite', channelId));
+    },
+
+    async markChannelEnded(channelId) {
+      await client.set(key('ended', channelId), '1', 'EX', ENDED_CHANNEL_TTL_SECONDS);
+    },
+
+    async isChannelEnded(channelId) {
+      return (await client.exists(key('ended', channelId))) === 1;
+    },
+
+    // The key outlives the timer a little, so the instance whose timer fires can still claim it
+    async startRing(channelId, ms) {
+      await client.set(key('ring', channelId), '1', 'PX', ms + 60 * 1000);
+    },
+
+    async claimRing(channelId) {
+      return (await client.del(key('ring', channelId))) === 1;
+    },
+
+    async incrementCounter(name, windowMs, by = 1) {
+      const counterKey = key('counter', name);
+      const [[, count], [, ttl]] = await client.multi().incrby(counterKey, by).pttl(counterKey).exec();
+      // First hit of the window (or a key left without expiry): start the window
+      if (ttl < 0) {
+        await client.pexpire(counterKey, windowMs);
+        return { count, resetAt: Date.now() + windowMs };
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+  };
+};
+
+let stateStore = null;
+
+const getStateStore = () => {
+  if (!stateStore) {
+    const driver = (process.env.STATE_STORE || 'memory').toLowerCase();
+
+    if (driver === 'redis') {
+      stateStore = createRedisStateStore();
+    } else if (driver === 'memory') {
+      stateStore = createMemoryStateStore();
+    } else {
+      throw new Error(`Unknown STATE_STORE: ${driver}`);
+    }
+  }
+
+  return stateStore;
+};
+
+/**
+ * socket.io adapter matching the state store: the Redis adapter routes emits between instances.
+ * Returns null for the memory store (socket.io's default in-process adapter).
+ */
+const getSocketAdapter = () => {
+  const store = getStateStore();
+  if (store.name !== 'redis') return null;
+
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const pubClient = store.client.duplicate();
+  const subClient = store.client.duplicate();
+  [pubClient, subClient].forEach((c) => c.on('error', (err) => console.error('Redis adapter error:', err.message)));
+  return createAdapter(pubClient, subClient, { key: `${store.prefix}socket.io` });
+};
+
+module.exports = {
+  PRESENCE_TTL_MS,
+  getStateStore,
+  getSocketAdapter,
+  createMemoryStateStore,
+  createRedisStateStore,
+};
@@ -0,0 +1,112 @@
+/**
+ * Pluggable storage backend for media attachments.
+ * STORAGE_DRIVER=local (default) writes under MEDIA_LOCAL_DIR (default ./uploads).
+ * STORAGE_DRIVER=s3 uses any S3-compatible service (AWS S3, MinIO, ...):
+ *   S3_BUCKET, S3_REGION, S3_ENDPOINT (for MinIO etc.), S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *
+ * Every driver implements: put(key, buffer, contentType), get(key) -> Readable stream, remove(key)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const createLocalStorage = () => {
+  const baseDir = path.resolve(process.cwd(), process.env.MEDIA_LOCAL_DIR || 'uploads');
+
+  // Keys are generated server-side, but never let one escape the base directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const createS3Storage = () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set in environment when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted stand-ins need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    async get(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+      storage = createS3Storage();
+    } else if (driver === 'local') {
+      storage = createLocalStorage();
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  createLocalStorage,
+  createS3Storage,
+};
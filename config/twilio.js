@@ -31,7 +31,7 @@ const sendOTPViaSMS = async (mobileNumber, otp) => {
     const verification = await client.verify.v2
       .services(verifySid)
       .verifications.create({
-        to: `+91${mobileNumber}`, // Change country code as needed
+        to: mobileNumber, // E.164
         channel: 'sms',
       });
 
@@ -59,7 +59,7 @@ const verifyOTPViaSMS = async (mobileNumber, otp) => {
     const verificationCheck = await client.verify.v2
       .services(verifySid)
       .verificationChecks.create({
-        to: `+91${mobileNumber}`, // Change country code as needed
+        to: mobileNumber, // E.164
         code: otp,
       });
 
@@ -90,7 +90,7 @@ const sendCustomOTPSMS = async (mobileNumber, otp) => {
     const message = await client.messages.create({
       body: `Your OTP is: ${otp}. Valid for 10 minutes.`,
       from: fromNumber,
-      to: `+91${mobileNumber}`, // Change country code as needed
+      to: mobileNumber, // E.164
     });
 
     return {
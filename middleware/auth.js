@@ -1,5 +1,6 @@
 const { verifyAccessToken } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const authenticate = async (req, res, next) => {
   try {
@@ -31,8 +32,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Revoked devices lose access immediately, not when the access token expires
+    if (decoded.sessionId && !(await Session.exists({ _id: decoded.sessionId, userId: user._id }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked',
+      });
+    }
+
     req.user = user;
     req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId || null;
     next();
   } catch (error) {
     return res.status(401).json({
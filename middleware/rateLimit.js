@@ -0,0 +1,22 @@
+const { checkRateLimit } = require('../utils/rateLimit');
+
+/**
+ * Express middleware for a rule in utils/rateLimit.js. getKeys(req) picks the keys to count;
+ * by default the client IP and, after authenticate, the user.
+ * Over budget: 429 with a Retry-After header.
+ */
+const rateLimit = (rule, getKeys = (req) => ({ ip: req.ip, user: req.userId })) => async (req, res, next) => {
+  const result = await checkRateLimit(rule, getKeys(req));
+  if (!result.error) return next();
+
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.status).json({
+    success: false,
+    message: result.error,
+    data: {
+      retryAfter: result.retryAfter,
+    },
+  });
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A call that is ringing or in progress, mirrored from the state store so it survives a restart
+// (see recoverCalls in utils/callLifecycle.js). Removed when the call ends.
+const activeCallSchema = new mongoose.Schema(
+  {
+    channelId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The live call (utils/calls.js): participants with their ring deadlines, and the 1:1 offer
+    call: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Safety net for calls whose end was never recorded; pushed back on every save
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { minimize: false }
+);
+
+activeCallSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActiveCall', activeCallSchema);
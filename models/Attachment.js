@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Uploaded media file. Created by POST /api/media/upload and bound to a message on send-message.
+const attachmentSchema = new mongoose.Schema({
+  uploaderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Set at upload time when known, otherwise when the message is sent (new direct chat)
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null,
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+  },
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  thumbnailKey: {
+    type: String,
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  width: {
+    type: Number,
+    default: null,
+  },
+  height: {
+    type: Number,
+    default: null,
+  },
+  // SHA-256 hex digest of the stored file
+  checksum: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+attachmentSchema.index({ uploaderId: 1, createdAt: -1 });
+attachmentSchema.index({ chatId: 1 });
+// Unsent uploads, for the cleanup in utils/attachments.js
+attachmentSchema.index({ messageId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
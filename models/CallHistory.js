@@ -1,16 +1,60 @@
 const mongoose = require('mongoose');
 
+// One entry per invited user (the caller included), with their own join and leave times
+const callParticipantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['joined', 'rejected', 'missed', 'busy', 'unavailable'],
+      required: true,
+    },
+    invitedAt: Date,
+    joinedAt: {
+      type: Date,
+      default: null,
+    },
+    leftAt: {
+      type: Date,
+      default: null,
+    },
+    durationSeconds: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
 const callHistorySchema = new mongoose.Schema({
   callerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  // 1:1 calls only
   calleeId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function () {
+      return !this.isGroup;
+    },
   },
+  isGroup: {
+    type: Boolean,
+    default: false,
+  },
+  // Group chat the call was made to, if any
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null,
+  },
+  participants: [callParticipantSchema],
   channelId: {
     type: String,
     required: true,
@@ -20,11 +64,23 @@ const callHistorySchema = new mongoose.Schema({
     enum: ['audio', 'video'],
     default: 'audio',
   },
+  // Video was on at some point (also audio calls upgraded to video); callType is how the call started
+  videoUsed: {
+    type: Boolean,
+    default: false,
+  },
+  // How the call turned out (see utils/callLifecycle.js)
   status: {
     type: String,
-    enum: ['missed', 'rejected', 'answered'],
+    enum: ['answered', 'dropped', 'missed', 'cancelled', 'rejected', 'busy', 'unavailable', 'failed'],
     required: true,
   },
+  // Why it ended
+  endReason: {
+    type: String,
+    enum: ['hangup', 'declined', 'timeout', 'disconnected', 'busy', 'offline', 'inactive', 'caller-offline'],
+    default: null,
+  },
   startedAt: {
     type: Date,
     required: true,
@@ -45,5 +101,6 @@ const callHistorySchema = new mongoose.Schema({
 
 callHistorySchema.index({ callerId: 1, endedAt: -1 });
 callHistorySchema.index({ calleeId: 1, endedAt: -1 });
+callHistorySchema.index({ 'participants.userId': 1, endedAt: -1 });
 
 module.exports = mongoose.model('CallHistory', callHistorySchema);
@@ -6,6 +6,41 @@ const chatSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   }],
+  // Group chats: any number of participants, metadata and admins.
+  // Direct chats: exactly two participants, group fields unused.
+  isGroup: {
+    type: Boolean,
+    default: false,
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  avatar: {
+    type: String,
+    default: '',
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Unread messages per participant (userId -> count), maintained on send / read / delete
+  unreadCounts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
@@ -28,6 +63,7 @@ const chatSchema = new mongoose.Schema({
 // Index for faster queries
 chatSchema.index({ participants: 1 });
 chatSchema.index({ lastMessageAt: -1 });
+chatSchema.index({ isGroup: 1, participants: 1 });
 
 // Update the updatedAt field before saving
 chatSchema.pre('save', async function () {
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One phone-book entry a user synced, kept as the SHA-256 of the number (never the number itself).
+// Lets a new registration notify everyone who has the number saved.
+const contactSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  numberHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+contactSchema.index({ ownerId: 1, numberHash: 1 }, { unique: true });
+contactSchema.index({ numberHash: 1 });
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -12,24 +12,164 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Set for direct chats only; group messages have no single receiver
   receiverId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
   },
+  // Emptied when the message is deleted for everyone
   message: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.isDeleted;
+    },
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file'],
+    enum: ['text', 'image', 'file', 'system'],
     default: 'text',
   },
+  // Only for messageType 'system' (group membership / metadata changes)
+  systemEvent: {
+    action: {
+      type: String,
+      enum: ['group-created', 'group-updated', 'member-added', 'member-removed', 'member-left', 'admin-promoted'],
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    targetIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  },
+  // Media metadata for image/file messages (copied from the Attachment at send time)
+  attachment: {
+    type: new mongoose.Schema({
+      attachmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment',
+        required: true,
+      },
+      name: String,
+      size: Number,
+      mimeType: String,
+      width: Number,
+      height: Number,
+      checksum: String,
+      hasThumbnail: {
+        type: Boolean,
+        default: false,
+      },
+    }, { _id: false }),
+    default: null,
+  },
+  // Quoted message snapshot, taken at send time and kept in sync on edit / delete for everyone
+  replyTo: {
+    type: new mongoose.Schema({
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true,
+      },
+      senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      senderName: String,
+      messageType: String,
+      message: String, // truncated text
+      isDeleted: {
+        type: Boolean,
+        default: false,
+      },
+    }, { _id: false }),
+    default: null,
+  },
+  // Emoji reactions, at most one per user
+  reactions: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    emoji: {
+      type: String,
+      required: true,
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    _id: false,
+  }],
+  // Kept in sync with status === 'read' for older clients
   isRead: {
     type: Boolean,
     default: false,
   },
+  // Receipt state: 'delivered' / 'read' once every recipient reached it
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent',
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  // 1 for direct chats, members minus sender for groups (at send time)
+  recipientCount: {
+    type: Number,
+    default: 1,
+  },
+  // Per-recipient receipts
+  deliveredTo: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: Date,
+    _id: false,
+  }],
+  readBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: Date,
+    _id: false,
+  }],
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Previous texts, oldest first
+  editHistory: [{
+    message: String,
+    editedAt: Date,
+    _id: false,
+  }],
+  // "Delete for me": users who no longer see this message
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // "Delete for everyone": tombstone, content removed
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -38,8 +178,10 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Index for faster queries
-messageSchema.index({ chatId: 1, createdAt: -1 });
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ senderId: 1, receiverId: 1 });
+// Full-text search; 'none' = no stemming or stop words, so any language matches word for word
+messageSchema.index({ message: 'text' }, { default_language: 'none' });
 
 module.exports = mongoose.model('Message', messageSchema);
 
@@ -1,14 +1,21 @@
 const mongoose = require('mongoose');
 
+// One issued login code. Only the latest unused code per number is valid.
 const otpSchema = new mongoose.Schema({
   mobileNumber: {
     type: String,
     required: true,
     index: true,
   },
-  otp: {
+  // HMAC of the code (never the code itself); null when the SMS provider checks codes (Twilio Verify)
+  otpHash: {
     type: String,
-    required: true,
+    default: null,
+  },
+  // Failed and successful verification attempts
+  attempts: {
+    type: Number,
+    default: 0,
   },
   expiresAt: {
     type: Date,
@@ -29,4 +36,3 @@ const otpSchema = new mongoose.Schema({
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('OTP', otpSchema);
-
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. Created on verify-otp; refresh tokens and push tokens are per device.
+// The session is the refresh token family: every rotation replaces refreshTokenHash.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Client-generated stable device identifier; logging in again on the same device replaces its session
+  deviceId: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+  deviceName: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', 'desktop', 'unknown'],
+    default: 'unknown',
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    default: null,
+  },
+  // The token it replaced, still accepted for a short grace period (concurrent refreshes)
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  fcmToken: {
+    type: String,
+    default: null,
+  },
+  // Updated on token refresh, socket connect/disconnect and FCM token registration
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ userId: 1, deviceId: 1 });
+sessionSchema.index({ fcmToken: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
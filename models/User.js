@@ -1,20 +1,41 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
+  // E.164, e.g. +919876543210 (older records: npm run migrate-phone-numbers)
   mobileNumber: {
     type: String,
     required: true,
     unique: true,
     trim: true,
   },
+  // SHA-256 of mobileNumber, matched against hashed contacts (POST /api/contacts/sync)
+  mobileNumberHash: {
+    type: String,
+    default: null,
+    index: true,
+  },
   name: {
     type: String,
     default: '',
   },
+  // "About" / status line shown on the profile
+  about: {
+    type: String,
+    default: '',
+  },
+  // URL of the avatar (GET /api/profile/avatar/...) or an external image
   profilePicture: {
     type: String,
     default: '',
   },
+  // Storage key of an avatar uploaded through PUT /api/profile/avatar
+  avatarKey: {
+    type: String,
+    default: null,
+  },
+  // Legacy single-device login; new logins keep these per device in Session.
+  // refreshToken is the SHA-256 of the token (scripts/hash-refresh-tokens.js)
   refreshToken: {
     type: String,
     default: null,
@@ -27,6 +48,31 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Set when the user's last connected device disconnects
+  lastSeenAt: {
+    type: Date,
+    default: null,
+  },
+  privacy: {
+    // Who may see lastSeenAt: everyone, contacts (users sharing a direct chat) or nobody
+    lastSeen: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone',
+    },
+  },
+  // Sum of this user's Chat.unreadCounts (app badge), kept up to date by utils/unread.js
+  unreadTotal: {
+    type: Number,
+    default: 0,
+  },
+  // Users this user blocked (no direct messages, calls, typing or presence either way)
+  blockedUsers: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -37,11 +83,20 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// "Who blocked me" lookups
+userSchema.index({ blockedUsers: 1 });
+
+userSchema.statics.hashMobileNumber = (mobileNumber) =>
+  crypto.createHash('sha256').update(String(mobileNumber)).digest('hex');
+
 // Update the updatedAt field before saving
 userSchema.pre('save', async function () {
   if (this.isNew) {
     this.createdAt = Date.now();
   }
+  if (this.isModified('mobileNumber') || !this.mobileNumberHash) {
+    this.mobileNumberHash = this.constructor.hashMobileNumber(this.mobileNumber);
+  }
   this.updatedAt = Date.now();
 });
 
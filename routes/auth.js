@@ -1,28 +1,66 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
-const OTP = require('../models/OTP');
-const { generateOTP } = require('../utils/otpGenerator');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const { issueOTP, verifyOTP } = require('../utils/otp');
+const Session = require('../models/Session');
 const { authenticate } = require('../middleware/auth');
-// Fixed OTP for login (no Twilio). Override with DEV_OTP in .env if needed.
-const FIXED_OTP = process.env.DEV_OTP || '468026';
+const {
+  formatSession,
+  createSession,
+  resolveRefreshToken,
+  rotateSession,
+  upgradeLegacyLogin,
+  registerFcmToken,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../utils/sessions');
+const { broadcastPresence, stopPresenceBetween } = require('../utils/presence');
+const { getBlockedUsers, blockUser, unblockUser } = require('../utils/blocking');
+const { notifyContactJoined } = require('../utils/contacts');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { getStateStore } = require('../config/stateStore');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+
+// OTP routes are limited per client IP and per number. Runs before validation, so the body may be
+// missing (no JSON body): then only the IP counts.
+const otpRateLimitKeys = (req) => ({
+  ip: req.ip,
+  phone: normalizePhoneNumber(req.body?.mobileNumber, req.body?.region),
+});
 
-// Send OTP to mobile number (no SMS; client uses fixed OTP 468026)
-router.post('/send-otp', async (req, res) => {
+// Send a login OTP by SMS (provider: SMS_PROVIDER). Allow-listed test numbers get no SMS.
+// Body: { mobileNumber, region? } - E.164, or a local number in region (default DEFAULT_PHONE_REGION)
+router.post('/send-otp', rateLimit('send-otp', otpRateLimitKeys), validate('POST /api/auth/send-otp'), async (req, res) => {
   try {
-    const { mobileNumber } = req.body;
+    const mobileNumber = normalizePhoneNumber(req.body.mobileNumber, req.body.region);
 
-    if (!mobileNumber || !/^\d{10}$/.test(mobileNumber)) {
+    if (!mobileNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Valid 10-digit mobile number is required',
+        message: 'Valid mobile number is required',
+      });
+    }
+
+    const result = await issueOTP(mobileNumber);
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        data: {
+          retryAfter: result.retryAfter,
+        },
       });
     }
 
     res.status(200).json({
       success: true,
       message: 'OTP sent successfully',
+      data: {
+        expiresAt: result.expiresAt,
+      },
     });
   } catch (error) {
     console.error('Error sending OTP:', error);
@@ -34,47 +72,55 @@ router.post('/send-otp', async (req, res) => {
   }
 });
 
-// Verify OTP and login/register (accept fixed OTP only, no Twilio)
-router.post('/verify-otp', async (req, res) => {
+// Verify OTP and login/register. A code is single use and allows a limited number of attempts.
+// Body: { mobileNumber, region?, otp } (number as sent to send-otp).
+// Optional device info for the new session: deviceId, deviceName, platform
+router.post('/verify-otp', rateLimit('verify-otp', otpRateLimitKeys), validate('POST /api/auth/verify-otp'), async (req, res) => {
   try {
-    const { mobileNumber, otp } = req.body;
+    const { otp, deviceId, deviceName, platform } = req.body;
 
-    if (!mobileNumber || !otp) {
+    const mobileNumber = normalizePhoneNumber(req.body.mobileNumber, req.body.region);
+    if (!mobileNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Mobile number and OTP are required',
+        message: 'Valid mobile number is required',
       });
     }
 
-    if (String(otp).trim() !== FIXED_OTP) {
-      return res.status(400).json({
+    const verification = await verifyOTP(mobileNumber, otp);
+    if (verification.error) {
+      return res.status(verification.status).json({
         success: false,
-        message: 'Invalid or expired OTP',
+        message: verification.error,
       });
     }
 
     // Find or create user
     let user = await User.findOne({ mobileNumber });
+    const isNewUser = !user;
 
-    if (!user) {
+    if (isNewUser) {
       // Create new user
       user = await User.create({
         mobileNumber,
         name: `${mobileNumber}`,
       });
-    }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+      // Users who have this number in their synced contacts get contact-joined
+      notifyContactJoined(req.app.get('io'), user)
+        .catch((err) => console.error('Error notifying contacts:', err.message));
+    }
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    // New session for this device; other devices stay logged in
+    const { session, accessToken, refreshToken } = await createSession(
+      req.app.get('io'),
+      user._id,
+      { deviceId, deviceName, platform }
+    );
 
     res.status(200).json({
       success: true,
-      message: user.isNew ? 'User registered and logged in' : 'Login successful',
+      message: isNewUser ? 'User registered and logged in' : 'Login successful',
       data: {
         user: {
           _id: user._id,
@@ -84,6 +130,7 @@ router.post('/verify-otp', async (req, res) => {
         },
         accessToken,
         refreshToken,
+        session: formatSession(session, session._id),
       },
     });
   } catch (error) {
@@ -96,43 +143,55 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
-// Refresh access token
-router.post('/refresh-token', async (req, res) => {
+// Refresh access token. The refresh token rotates: the response carries a new one to use next time.
+router.post('/refresh-token', rateLimit('refresh-token'), validate('POST /api/auth/refresh-token'), async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (!refreshToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refresh token is required',
-      });
-    }
+    const resolved = await resolveRefreshToken(req.app.get('io'), refreshToken);
 
-    const decoded = verifyRefreshToken(refreshToken);
-
-    if (!decoded) {
+    if (!resolved) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired refresh token',
       });
     }
 
-    const user = await User.findById(decoded.userId);
+    const { user, session } = resolved;
+
+    // Token from before per-device sessions: move it into a session and hand out the new pair
+    if (!session) {
+      const upgraded = await upgradeLegacyLogin(req.app.get('io'), user, req.body);
+      if (!upgraded) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token',
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        data: {
+          accessToken: upgraded.accessToken,
+          refreshToken: upgraded.refreshToken,
+          session: formatSession(upgraded.session, upgraded.session._id),
+        },
+      });
+    }
 
-    if (!user || user.refreshToken !== refreshToken) {
+    const tokens = await rotateSession(session._id);
+
+    if (!tokens) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token',
+        message: 'Invalid or expired refresh token',
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
-
     res.status(200).json({
       success: true,
       data: {
-        accessToken: newAccessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
       },
     });
   } catch (error) {
@@ -145,14 +204,15 @@ router.post('/refresh-token', async (req, res) => {
   }
 });
 
-// Logout
-router.post('/logout', authenticate, async (req, res) => {
+// Logout: ends this device's session only
+router.post('/logout', authenticate, validate('POST /api/auth/logout'), async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-
-    if (user) {
-      user.refreshToken = null;
-      await user.save();
+    if (req.sessionId) {
+      await revokeSession(req.app.get('io'), req.userId, req.sessionId);
+    } else {
+      req.user.refreshToken = null;
+      req.user.fcmToken = null;
+      await req.user.save();
     }
 
     res.status(200).json({
@@ -169,32 +229,24 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
-// Save FCM token for push notifications
-router.post('/fcm-token', authenticate, async (req, res) => {
+// Save FCM token for push notifications (for the calling device's session)
+router.post('/fcm-token', authenticate, validate('POST /api/auth/fcm-token'), async (req, res) => {
   try {
     const { fcmToken } = req.body;
 
-    if (!fcmToken || typeof fcmToken !== 'string') {
-      return res.status(400).json({
-        success: false,
-        message: 'fcmToken is required and must be a string',
-      });
-    }
+    const token = fcmToken.trim() || null;
 
-    const user = await User.findById(req.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
+    if (req.sessionId) {
+      await registerFcmToken(req.sessionId, token);
+    } else {
+      req.user.fcmToken = token;
+      await req.user.save();
     }
 
-    user.fcmToken = fcmToken.trim() || null;
-    await user.save();
-
     console.log('FCM: token saved', {
       userId: String(req.userId),
-      tokenPrefix: user.fcmToken ? user.fcmToken.slice(0, 16) + '...' : null,
+      sessionId: req.sessionId ? String(req.sessionId) : null,
+      tokenPrefix: token ? token.slice(0, 16) + '...' : null,
     });
 
     res.status(200).json({
@@ -212,9 +264,9 @@ router.post('/fcm-token', authenticate, async (req, res) => {
 });
 
 // Get current user profile
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, validate('GET /api/auth/me'), async (req, res) => {
   try {
-    const user = await User.findById(req.userId).select('-refreshToken');
+    const user = await User.findById(req.userId).select('-refreshToken -fcmToken -avatarKey');
 
     res.status(200).json({
       success: true,
@@ -232,5 +284,185 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Update privacy settings. Body: { lastSeen: 'everyone' | 'contacts' | 'nobody' }
+router.patch('/privacy', authenticate, validate('PATCH /api/auth/privacy'), async (req, res) => {
+  try {
+    const { lastSeen } = req.body;
+
+    req.user.set('privacy.lastSeen', lastSeen);
+    await req.user.save();
+
+    // Subscribers see the new last-seen visibility right away
+    const online = await getStateStore().isUserOnline(req.userId);
+    broadcastPresence(req.app.get('io'), req.user, online);
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated',
+      data: {
+        privacy: {
+          lastSeen: req.user.privacy.lastSeen,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating privacy settings',
+      error: error.message,
+    });
+  }
+});
+
+// List users this user blocked
+router.get('/blocked', authenticate, validate('GET /api/auth/blocked'), async (req, res) => {
+  try {
+    const users = await getBlockedUsers(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching blocked users',
+      error: error.message,
+    });
+  }
+});
+
+// Block a user. Body: { userId }. The blocked user is not notified.
+router.post('/blocked', authenticate, validate('POST /api/auth/blocked'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const io = req.app.get('io');
+
+    const result = await blockUser(io, req.userId, userId);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    stopPresenceBetween(io, req.userId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked',
+    });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error blocking user',
+      error: error.message,
+    });
+  }
+});
+
+router.delete('/blocked/:userId', authenticate, validate('DELETE /api/auth/blocked/:userId'), async (req, res) => {
+  try {
+    const result = await unblockUser(req.app.get('io'), req.userId, req.params.userId);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked',
+    });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unblocking user',
+      error: error.message,
+    });
+  }
+});
+
+// List this user's logged-in devices (current: the calling device)
+router.get('/sessions', authenticate, validate('GET /api/auth/sessions'), async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.userId })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map((s) => formatSession(s, req.sessionId)),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message,
+    });
+  }
+});
+
+// Log out every device except the calling one
+router.delete('/sessions', authenticate, validate('DELETE /api/auth/sessions'), async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.app.get('io'), req.userId, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: {
+        revoked,
+      },
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message,
+    });
+  }
+});
+
+// Log out one device: its refresh token stops working and its sockets are disconnected
+router.delete('/sessions/:sessionId', authenticate, validate('DELETE /api/auth/sessions/:sessionId'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = mongoose.isValidObjectId(sessionId)
+      && await revokeSession(req.app.get('io'), req.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
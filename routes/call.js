@@ -1,38 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 const CallHistory = require('../models/CallHistory');
+const { getIceServers } = require('../utils/iceServers');
 
 /**
  * GET /api/call/config
- * Returns WebRTC ICE servers (STUN/TURN) for RTCPeerConnection.
- * Use in both dev and production. TURN is optional but recommended for production.
+ * Returns WebRTC ICE servers (STUN/TURN) for RTCPeerConnection, with fresh TURN credentials
+ * (utils/iceServers.js). Call it right before each call; ttl is how many seconds the credentials last.
  */
-router.get('/config', authenticate, (req, res) => {
+router.get('/config', authenticate, validate('GET /api/call/config'), (req, res) => {
   try {
-    const iceServers = [];
-
-    // STUN: free, works for many dev and simple prod setups
-    const stunUrl = process.env.WEBRTC_STUN_URL || 'stun:stun.l.google.com:19302';
-    iceServers.push({ urls: stunUrl });
-
-    // TURN: optional, improves connectivity behind symmetric NAT (production)
-    const turnUrl = process.env.WEBRTC_TURN_URL;
-    const turnUsername = process.env.WEBRTC_TURN_USERNAME;
-    const turnCredential = process.env.WEBRTC_TURN_CREDENTIAL;
-
-    if (turnUrl) {
-      iceServers.push({
-        urls: turnUrl,
-        username: turnUsername || undefined,
-        credential: turnCredential || undefined,
-      });
-    }
+    const { iceServers, ttl, expiresAt } = getIceServers(req.userId);
 
+    // Credentials are per user and expire: never from a cache
+    res.set('Cache-Control', 'no-store');
     res.status(200).json({
       success: true,
       data: {
         iceServers,
+        ttl,
+        expiresAt,
       },
     });
   } catch (error) {
@@ -40,54 +29,80 @@ router.get('/config', authenticate, (req, res) => {
   }
 });
 
+const formatUser = (user) =>
+  user
+    ? {
+        _id: user._id,
+        mobileNumber: user.mobileNumber,
+        name: user.name,
+        profilePicture: user.profilePicture || '',
+      }
+    : null;
+
+// Your own outcome of a group call
+const GROUP_STATUS = { joined: 'answered', rejected: 'rejected', missed: 'missed', busy: 'busy', unavailable: 'unavailable' };
+
 /**
  * GET /api/call/history
- * Returns call history for the authenticated user (incoming and outgoing).
+ * Returns call history for the authenticated user (incoming and outgoing, 1:1 and group calls).
  * Query: page (default 1), limit (default 20, max 50)
  */
-router.get('/history', authenticate, async (req, res) => {
+router.get('/history', authenticate, validate('GET /api/call/history'), async (req, res) => {
   try {
     const userId = req.userId;
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
     const skip = (page - 1) * limit;
 
+    const filter = {
+      $or: [{ callerId: userId }, { calleeId: userId }, { 'participants.userId': userId }],
+    };
+
     const [calls, total] = await Promise.all([
-      CallHistory.find({
-        $or: [{ callerId: userId }, { calleeId: userId }],
-      })
+      CallHistory.find(filter)
         .sort({ endedAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate('callerId', 'mobileNumber name profilePicture')
         .populate('calleeId', 'mobileNumber name profilePicture')
+        .populate('participants.userId', 'mobileNumber name profilePicture')
         .lean(),
-      CallHistory.countDocuments({
-        $or: [{ callerId: userId }, { calleeId: userId }],
-      }),
+      CallHistory.countDocuments(filter),
     ]);
 
     const list = calls.map((c) => {
       const isOutgoing = c.callerId._id.toString() === userId.toString();
-      const otherUser = isOutgoing ? c.calleeId : c.callerId;
-      return {
+      const entry = {
         _id: c._id,
         channelId: c.channelId,
         direction: isOutgoing ? 'outgoing' : 'incoming',
         callType: c.callType,
+        videoUsed: !!c.videoUsed || c.callType === 'video',
+        isGroup: !!c.isGroup,
         status: c.status,
+        endReason: c.endReason || null,
         startedAt: c.startedAt,
         endedAt: c.endedAt,
         durationSeconds: c.durationSeconds,
-        otherUser: otherUser
-          ? {
-              _id: otherUser._id,
-              mobileNumber: otherUser.mobileNumber,
-              name: otherUser.name,
-              profilePicture: otherUser.profilePicture || '',
-            }
-          : null,
       };
+
+      if (!c.isGroup) {
+        entry.otherUser = formatUser(isOutgoing ? c.calleeId : c.callerId);
+        return entry;
+      }
+
+      const participants = (c.participants || []).filter((p) => p.userId);
+      const mine = participants.find((p) => p.userId._id.toString() === userId.toString());
+      if (mine && !isOutgoing) entry.status = GROUP_STATUS[mine.status];
+      entry.chatId = c.chatId;
+      entry.participants = participants.map((p) => ({
+        user: formatUser(p.userId),
+        status: p.status,
+        joinedAt: p.joinedAt,
+        leftAt: p.leftAt,
+        durationSeconds: p.durationSeconds,
+      }));
+      return entry;
     });
 
     res.status(200).json({
@@ -1,12 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const {
+  PARTICIPANT_FIELDS,
+  GROUP_MAX_MEMBERS,
+  emitToUsers,
+  formatGroupInfo,
+  createSystemMessage,
+} = require('../utils/groupChat');
+const {
+  HIDDEN_MESSAGE_FIELDS,
+  findLatestVisibleMessage,
+  summarizeReactions,
+  reactToMessage,
+  editMessage,
+  deleteMessageForMe,
+  deleteMessageForEveryone,
+} = require('../utils/messageActions');
+const { markDelivered, markReadUpTo } = require('../utils/receipts');
+const { fetchMessagePage } = require('../utils/messageHistory');
+const { searchMessages } = require('../utils/messageSearch');
+const { getPresence } = require('../utils/presence');
+const { hasBlocked } = require('../utils/blocking');
+const { normalizePhoneNumber, regionOf } = require('../utils/phone');
+const { unreadCountFor } = require('../utils/unread');
 
 // Get chat list for logged-in user
-router.get('/list', authenticate, async (req, res) => {
+router.get('/list', authenticate, validate('GET /api/chat/list'), async (req, res) => {
   try {
     const userId = req.userId;
 
@@ -15,18 +41,43 @@ router.get('/list', authenticate, async (req, res) => {
       participants: userId,
     })
       .populate('participants', 'mobileNumber name profilePicture')
-      .populate('lastMessage')
+      .populate('lastMessage', '-editHistory')
       .sort({ lastMessageAt: -1 })
       .lean();
 
-    // Format the response
+    // A last message this user deleted "for me" must not be their preview
+    await Promise.all(
+      chats.map(async (chat) => {
+        const hiddenForMe = chat.lastMessage?.deletedFor?.some((id) => id.toString() === userId.toString());
+        if (hiddenForMe) {
+          chat.lastMessage = await findLatestVisibleMessage(chat._id, userId);
+        } else if (chat.lastMessage) {
+          delete chat.lastMessage.deletedFor;
+        }
+      })
+    );
+
+    // Format the response (groups and direct chats side by side)
     const chatList = chats.map((chat) => {
+      if (chat.isGroup) {
+        return {
+          chatId: chat._id,
+          isGroup: true,
+          otherUser: null,
+          group: formatGroupInfo(chat),
+          lastMessage: chat.lastMessage,
+          lastMessageAt: chat.lastMessageAt,
+          unreadCount: unreadCountFor(chat, userId),
+        };
+      }
+
       const otherParticipant = chat.participants.find(
         (p) => p._id.toString() !== userId.toString()
       );
 
       return {
         chatId: chat._id,
+        isGroup: false,
         otherUser: {
           _id: otherParticipant._id,
           mobileNumber: otherParticipant.mobileNumber,
@@ -35,7 +86,7 @@ router.get('/list', authenticate, async (req, res) => {
         },
         lastMessage: chat.lastMessage,
         lastMessageAt: chat.lastMessageAt,
-        unreadCount: 0, // You can implement unread count logic
+        unreadCount: unreadCountFor(chat, userId),
       };
     });
 
@@ -43,6 +94,8 @@ router.get('/list', authenticate, async (req, res) => {
       success: true,
       data: {
         chats: chatList,
+        // Badge count: sum of this user's counters, no per-chat counting
+        totalUnread: chatList.reduce((sum, c) => sum + c.unreadCount, 0),
       },
     });
   } catch (error) {
@@ -55,23 +108,20 @@ router.get('/list', authenticate, async (req, res) => {
   }
 });
 
-// Search user by mobile number and get chat info if exists
-router.get('/search', authenticate, async (req, res) => {
+// Search user by mobile number and get chat info if exists.
+// Query: mobileNumber (E.164 or local), region (for local numbers; default: the caller's own country)
+router.get('/search', authenticate, rateLimit('search'), validate('GET /api/chat/search'), async (req, res) => {
   try {
-    const { mobileNumber } = req.query;
     const userId = req.userId;
 
+    const mobileNumber = normalizePhoneNumber(
+      req.query.mobileNumber,
+      req.query.region || regionOf(req.user.mobileNumber)
+    );
     if (!mobileNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Mobile number is required',
-      });
-    }
-
-    if (!/^\d{10}$/.test(mobileNumber)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid 10-digit mobile number is required',
+        message: 'Valid mobile number is required',
       });
     }
 
@@ -86,12 +136,16 @@ router.get('/search', authenticate, async (req, res) => {
     const user = await User.findOne({ mobileNumber });
 
     if (user) {
+      // Someone who blocked the caller shows up without name, about or picture, like a user who never set them
+      const blockedByUser = await hasBlocked(user._id, userId);
+
       // Check if chat exists between current user and searched user
       const existingChat = await Chat.findOne({
+        isGroup: { $ne: true },
         participants: { $all: [userId, user._id] },
       })
         .populate('participants', 'mobileNumber name profilePicture')
-        .populate('lastMessage')
+        .populate('lastMessage', HIDDEN_MESSAGE_FIELDS)
         .lean();
 
       // Format chat info if exists
@@ -112,8 +166,9 @@ router.get('/search', authenticate, async (req, res) => {
           user: {
             _id: user._id,
             mobileNumber: user.mobileNumber,
-            name: user.name,
-            profilePicture: user.profilePicture,
+            name: blockedByUser ? '' : user.name,
+            about: blockedByUser ? '' : user.about,
+            profilePicture: blockedByUser ? '' : user.profilePicture,
           },
           inDatabase: true,
           chat: chatInfo, // null if no chat exists
@@ -141,18 +196,147 @@ router.get('/search', authenticate, async (req, res) => {
   }
 });
 
-// Get or create chat between two users
-router.post('/create', authenticate, async (req, res) => {
+// Full-text search over the caller's chats.
+// Query: q, chatId, senderId, from, to, messageType, limit, before (nextCursor of the previous page)
+router.get('/search/messages', authenticate, validate('GET /api/chat/search/messages'), async (req, res) => {
   try {
-    const { receiverId } = req.body;
+    const { q, chatId, senderId, from, to, messageType, limit, before } = req.query;
+    const result = await searchMessages(req.userId, { q, chatId, senderId, from, to, messageType, limit, before });
 
-    if (!receiverId) {
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Newest first; snippet with highlight offsets and the chat each message belongs to
+        results: result.results,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching messages',
+      error: error.message,
+    });
+  }
+});
+
+// Bulk presence for the chat list. Query: userIds (comma-separated).
+// Users you share no chat with are left out.
+router.get('/presence', authenticate, validate('GET /api/chat/presence'), async (req, res) => {
+  try {
+    const userIds = String(req.query.userIds || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter((id) => mongoose.isValidObjectId(id));
+
+    if (userIds.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Receiver ID is required',
+        message: 'userIds is required',
       });
     }
 
+    const presence = await getPresence(req.userId, userIds);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        presence,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching presence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching presence',
+      error: error.message,
+    });
+  }
+});
+
+// Create a group chat from POST /create with participantIds
+const createGroupChat = async (req, res) => {
+  const { participantIds, name, description, avatar } = req.body;
+  const creatorId = req.userId.toString();
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group name is required',
+    });
+  }
+
+  const memberIds = [...new Set(participantIds)].filter((id) => id !== creatorId);
+
+  if (memberIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one other participant is required',
+    });
+  }
+
+  if (memberIds.length + 1 > GROUP_MAX_MEMBERS) {
+    return res.status(400).json({
+      success: false,
+      message: `A group can have at most ${GROUP_MAX_MEMBERS} members`,
+    });
+  }
+
+  const members = await User.find({ _id: { $in: memberIds }, isActive: true })
+    .select(PARTICIPANT_FIELDS)
+    .lean();
+
+  if (members.length !== memberIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more participants not found',
+    });
+  }
+
+  const chat = await Chat.create({
+    isGroup: true,
+    name: name.trim(),
+    description: typeof description === 'string' ? description.trim() : '',
+    avatar: typeof avatar === 'string' ? avatar : '',
+    createdBy: req.userId,
+    admins: [req.userId],
+    participants: [req.userId, ...memberIds],
+  });
+
+  const io = req.app.get('io');
+  await createSystemMessage(io, chat, req.user, 'group-created');
+
+  await chat.populate('participants', PARTICIPANT_FIELDS);
+  emitToUsers(io, chat.participants, 'group-created', {
+    chatId: chat._id,
+    group: formatGroupInfo(chat),
+  });
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      chat,
+    },
+  });
+};
+
+// Get or create chat between two users, or create a group chat (participantIds + name)
+router.post('/create', authenticate, validate('POST /api/chat/create'), async (req, res) => {
+  try {
+    const { receiverId, participantIds } = req.body;
+
+    if (participantIds) {
+      return await createGroupChat(req, res);
+    }
+
     const senderId = req.userId;
 
     if (senderId.toString() === receiverId.toString()) {
@@ -173,6 +357,7 @@ router.post('/create', authenticate, async (req, res) => {
 
     // Check if chat already exists
     let chat = await Chat.findOne({
+      isGroup: { $ne: true },
       participants: { $all: [senderId, receiverId] },
     }).populate('participants', 'mobileNumber name profilePicture');
 
@@ -205,7 +390,7 @@ router.post('/create', authenticate, async (req, res) => {
 });
 
 // Get chat messages (for a specific chat)
-router.get('/:chatId/messages', authenticate, async (req, res) => {
+router.get('/:chatId/messages', authenticate, validate('GET /api/chat/:chatId/messages'), async (req, res) => {
   try {
     const { chatId } = req.params;
     const userId = req.userId;
@@ -227,33 +412,26 @@ router.get('/:chatId/messages', authenticate, async (req, res) => {
       });
     }
 
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
-
-    // Fetch messages for this chat
-    const messages = await Message.find({ chatId })
-      .populate('senderId', 'mobileNumber name profilePicture')
-      .populate('receiverId', 'mobileNumber name profilePicture')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .lean();
+    // Fetching history after coming online counts as delivery
+    await markDelivered(req.app.get('io'), userId, chat._id);
 
-    // Get total count for pagination
-    const totalMessages = await Message.countDocuments({ chatId });
+    // Cursor pagination: before | after | around (message id), limit
+    const { before, after, around, limit } = req.query;
+    const result = await fetchMessagePage(chat._id, userId, { before, after, around, limit });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
 
     res.status(200).json({
       success: true,
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first
-        pagination: {
-          page,
-          limit,
-          total: totalMessages,
-          pages: Math.ceil(totalMessages / limit),
-        },
+        // Oldest first; reactions aggregated with the caller's own reaction, plus receipt status
+        messages: result.messages,
+        pagination: result.pagination,
       },
     });
   } catch (error) {
@@ -266,5 +444,130 @@ router.get('/:chatId/messages', authenticate, async (req, res) => {
   }
 });
 
+// Mark every message up to and including upToMessageId as read. Body: { upToMessageId }
+router.post('/:chatId/read', authenticate, validate('POST /api/chat/:chatId/read'), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { upToMessageId } = req.body;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat || !chat.participants.includes(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const messageIds = await markReadUpTo(req.app.get('io'), req.userId, chat._id, upToMessageId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        markedRead: messageIds.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking messages as read',
+      error: error.message,
+    });
+  }
+});
+
+// Send a message action result the way this router responds
+const sendActionResult = (res, result, successMessage) => {
+  const viewerId = res.req.userId;
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+    });
+  }
+  const { editHistory, deletedFor, ...message } = result.message.toObject();
+  return res.status(200).json({
+    success: true,
+    message: successMessage,
+    data: {
+      message: {
+        ...message,
+        ...summarizeReactions(message.reactions, viewerId),
+      },
+    },
+  });
+};
+
+// Edit a message's text (sender only). Body: { message }
+router.patch('/:chatId/messages/:messageId', authenticate, validate('PATCH /api/chat/:chatId/messages/:messageId'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await editMessage(req.app.get('io'), req.userId, {
+      chatId,
+      messageId,
+      message: req.body.message,
+    });
+    sendActionResult(res, result, 'Message edited');
+  } catch (error) {
+    console.error('Error editing message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error editing message',
+      error: error.message,
+    });
+  }
+});
+
+// Delete a message. Query: scope=me (default) hides it for the caller, scope=everyone tombstones it
+router.delete('/:chatId/messages/:messageId', authenticate, validate('DELETE /api/chat/:chatId/messages/:messageId'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const forEveryone = req.query.scope === 'everyone';
+    const action = forEveryone ? deleteMessageForEveryone : deleteMessageForMe;
+    const result = await action(req.app.get('io'), req.userId, { chatId, messageId });
+    sendActionResult(res, result, 'Message deleted');
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting message',
+      error: error.message,
+    });
+  }
+});
+
+// Add or change the caller's reaction. Body: { emoji }
+router.put('/:chatId/messages/:messageId/reaction', authenticate, validate('PUT /api/chat/:chatId/messages/:messageId/reaction'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { emoji } = req.body;
+    const result = await reactToMessage(req.app.get('io'), req.user, { chatId, messageId, emoji });
+    sendActionResult(res, result, 'Reaction saved');
+  } catch (error) {
+    console.error('Error saving reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving reaction',
+      error: error.message,
+    });
+  }
+});
+
+// Remove the caller's reaction
+router.delete('/:chatId/messages/:messageId/reaction', authenticate, validate('DELETE /api/chat/:chatId/messages/:messageId/reaction'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await reactToMessage(req.app.get('io'), req.user, { chatId, messageId, emoji: null });
+    sendActionResult(res, result, 'Reaction removed');
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing reaction',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
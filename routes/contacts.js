@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { syncContacts, getContactUsers } = require('../utils/contacts');
+const { regionOf } = require('../utils/phone');
+
+/**
+ * POST /api/contacts/sync
+ * Body: { contacts: [], removed?: [], replace?: boolean, region? }. Entries are phone numbers
+ * (E.164, or local to region - default: the caller's own country) or SHA-256 hex digests of the
+ * E.164 form; at most 1000 entries per request.
+ * Returns the registered users among contacts (incremental: only this batch).
+ */
+router.post('/sync', authenticate, rateLimit('contacts-sync'), validate('POST /api/contacts/sync'), async (req, res) => {
+  try {
+    const { contacts, removed, replace } = req.body;
+    const region = req.body.region || regionOf(req.user.mobileNumber);
+    const result = await syncContacts(req.userId, { contacts, removed, replace: replace === true, region });
+
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        matches: result.matches,
+        invalid: result.invalid,
+        stored: result.stored,
+      },
+    });
+  } catch (error) {
+    console.error('Error syncing contacts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing contacts',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/contacts
+ * Registered users among everything synced so far (no upload needed).
+ */
+router.get('/', authenticate, validate('GET /api/contacts'), async (req, res) => {
+  try {
+    const users = await getContactUsers(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contacts',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  PARTICIPANT_FIELDS,
+  GROUP_MAX_MEMBERS,
+  userRoom,
+  emitToUsers,
+  idOf,
+  isParticipant,
+  isAdmin,
+  formatGroupInfo,
+  createSystemMessage,
+} = require('../utils/groupChat');
+
+// Load a group chat and check the caller's membership (and admin role if required).
+// Returns the chat, or sends the error response and returns null.
+const loadGroup = async (req, res, { requireAdmin = false } = {}) => {
+  const { chatId } = req.params;
+
+  if (!mongoose.isValidObjectId(chatId)) {
+    res.status(400).json({ success: false, message: 'Invalid chat ID' });
+    return null;
+  }
+
+  const chat = await Chat.findById(chatId);
+
+  if (!chat || !chat.isGroup) {
+    res.status(404).json({ success: false, message: 'Group not found' });
+    return null;
+  }
+
+  if (!isParticipant(chat, req.userId)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+
+  if (requireAdmin && !isAdmin(chat, req.userId)) {
+    res.status(403).json({ success: false, message: 'Only group admins can do this' });
+    return null;
+  }
+
+  return chat;
+};
+
+// Send the updated group to every member after a change
+const broadcastGroupUpdate = async (io, chat) => {
+  await chat.populate('participants', PARTICIPANT_FIELDS);
+  emitToUsers(io, chat.participants, 'group-updated', {
+    chatId: chat._id,
+    group: formatGroupInfo(chat),
+  });
+  return chat;
+};
+
+/**
+ * GET /api/group/:chatId
+ * Group metadata, members and admins.
+ */
+router.get('/:chatId', authenticate, validate('GET /api/group/:chatId'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res);
+    if (!chat) return;
+
+    await chat.populate('participants', PARTICIPANT_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chatId: chat._id,
+        group: formatGroupInfo(chat),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching group',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/group/:chatId
+ * Update name, description and/or avatar (admins only).
+ */
+router.patch('/:chatId', authenticate, validate('PATCH /api/group/:chatId'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res, { requireAdmin: true });
+    if (!chat) return;
+
+    const { name, description, avatar } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Group name cannot be empty',
+        });
+      }
+      chat.name = name.trim();
+    }
+    if (typeof description === 'string') chat.description = description.trim();
+    if (typeof avatar === 'string') chat.avatar = avatar;
+
+    const io = req.app.get('io');
+    await createSystemMessage(io, chat, req.user, 'group-updated');
+    await broadcastGroupUpdate(io, chat);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chatId: chat._id,
+        group: formatGroupInfo(chat),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating group',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/group/:chatId/members
+ * Add members (admins only). Body: { userIds: [] }
+ */
+router.post('/:chatId/members', authenticate, validate('POST /api/group/:chatId/members'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res, { requireAdmin: true });
+    if (!chat) return;
+
+    const { userIds } = req.body;
+
+    const newIds = [...new Set(userIds)].filter((id) => !isParticipant(chat, id));
+
+    if (newIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'All users are already members',
+      });
+    }
+
+    if (chat.participants.length + newIds.length > GROUP_MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${GROUP_MAX_MEMBERS} members`,
+      });
+    }
+
+    const newMembers = await User.find({ _id: { $in: newIds }, isActive: true })
+      .select(PARTICIPANT_FIELDS)
+      .lean();
+
+    if (newMembers.length !== newIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more users not found',
+      });
+    }
+
+    chat.participants.push(...newMembers.map((m) => m._id));
+
+    const io = req.app.get('io');
+    await createSystemMessage(io, chat, req.user, 'member-added', newMembers);
+    await broadcastGroupUpdate(io, chat);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chatId: chat._id,
+        group: formatGroupInfo(chat),
+      },
+    });
+  } catch (error) {
+    console.error('Error adding group members:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding group members',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/group/:chatId/members/:memberId
+ * Remove a member (admins only). Use /leave to remove yourself.
+ */
+router.delete('/:chatId/members/:memberId', authenticate, validate('DELETE /api/group/:chatId/members/:memberId'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res, { requireAdmin: true });
+    if (!chat) return;
+
+    const { memberId } = req.params;
+
+    if (memberId === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use leave to remove yourself from the group',
+      });
+    }
+
+    if (!isParticipant(chat, memberId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group',
+      });
+    }
+
+    const removed = await User.findById(memberId).select(PARTICIPANT_FIELDS).lean();
+
+    chat.participants = chat.participants.filter((p) => idOf(p) !== memberId);
+    chat.admins = chat.admins.filter((a) => idOf(a) !== memberId);
+
+    const io = req.app.get('io');
+    await createSystemMessage(io, chat, req.user, 'member-removed', [removed || { _id: memberId }]);
+    await broadcastGroupUpdate(io, chat);
+    emitToUsers(io, [memberId], 'group-removed', { chatId: chat._id });
+    // No more group messages, reactions or typing on the removed member's sockets
+    io.in(userRoom(memberId)).socketsLeave(`chat:${chat._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chatId: chat._id,
+        group: formatGroupInfo(chat),
+      },
+    });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing group member',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/group/:chatId/leave
+ * Leave the group. If the last admin leaves, the longest-standing member becomes admin.
+ */
+router.post('/:chatId/leave', authenticate, validate('POST /api/group/:chatId/leave'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res);
+    if (!chat) return;
+
+    const userIdStr = req.userId.toString();
+
+    chat.participants = chat.participants.filter((p) => idOf(p) !== userIdStr);
+    chat.admins = chat.admins.filter((a) => idOf(a) !== userIdStr);
+
+    const promoted = chat.admins.length === 0 && chat.participants.length > 0
+      ? await User.findById(chat.participants[0]).select(PARTICIPANT_FIELDS).lean()
+      : null;
+    if (promoted) {
+      chat.admins.push(promoted._id);
+    }
+
+    const io = req.app.get('io');
+    await createSystemMessage(io, chat, req.user, 'member-left');
+    if (promoted) {
+      await createSystemMessage(io, chat, req.user, 'admin-promoted', [promoted]);
+    }
+    await broadcastGroupUpdate(io, chat);
+    emitToUsers(io, [userIdStr], 'group-removed', { chatId: chat._id });
+    io.in(userRoom(userIdStr)).socketsLeave(`chat:${chat._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left group',
+    });
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving group',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/group/:chatId/admins
+ * Promote a member to admin (admins only). Body: { userId }
+ */
+router.post('/:chatId/admins', authenticate, validate('POST /api/group/:chatId/admins'), async (req, res) => {
+  try {
+    const chat = await loadGroup(req, res, { requireAdmin: true });
+    if (!chat) return;
+
+    const { userId } = req.body;
+
+    if (!isParticipant(chat, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId must be a member of this group',
+      });
+    }
+
+    if (isAdmin(chat, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already an admin',
+      });
+    }
+
+    const promoted = await User.findById(userId).select(PARTICIPANT_FIELDS).lean();
+    chat.admins.push(promoted._id);
+
+    const io = req.app.get('io');
+    await createSystemMessage(io, chat, req.user, 'admin-promoted', [promoted]);
+    await broadcastGroupUpdate(io, chat);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chatId: chat._id,
+        group: formatGroupInfo(chat),
+      },
+    });
+  } catch (error) {
+    console.error('Error promoting group admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error promoting group admin',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
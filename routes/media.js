@@ -0,0 +1,290 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const sharp = require('sharp');
+const router = express.Router();
+const Chat = require('../models/Chat');
+const Attachment = require('../models/Attachment');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getStorage } = require('../config/storage');
+const {
+  MEDIA_MAX_FILE_SIZE,
+  MEDIA_ALLOWED_MIME_TYPES,
+  MEDIA_URL_TTL_SECONDS,
+  THUMBNAIL_MIME_TYPES,
+  sha256,
+  signDownloadUrl,
+  verifyDownloadSignature,
+} = require('../utils/attachments');
+
+const THUMBNAIL_SIZE = 320;
+
+// Media the app shows in place; everything else downloads as a file (SVG can carry script)
+const isInlineMimeType = (mimeType) => /^(image|audio|video)\//.test(mimeType) && mimeType !== 'image/svg+xml';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MEDIA_MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!MEDIA_ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const err = new Error(`File type ${file.mimetype} is not allowed`);
+      err.status = 415;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Run multer and turn its errors into the usual JSON responses
+const handleUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MEDIA_MAX_FILE_SIZE} bytes`
+          : err.message,
+      });
+    }
+
+    return res.status(err.status || 400).json({
+      success: false,
+      message: err.message,
+    });
+  });
+};
+
+// Uploader can always access; afterwards any participant of the attachment's chat
+const canAccess = async (attachment, userId) => {
+  if (attachment.uploaderId.toString() === userId.toString()) return true;
+  if (!attachment.chatId) return false;
+  const chat = await Chat.findById(attachment.chatId).select('participants').lean();
+  return Boolean(chat && chat.participants.some((p) => p.toString() === userId.toString()));
+};
+
+const formatAttachment = (attachment) => ({
+  _id: attachment._id,
+  chatId: attachment.chatId,
+  name: attachment.name,
+  size: attachment.size,
+  mimeType: attachment.mimeType,
+  width: attachment.width,
+  height: attachment.height,
+  checksum: attachment.checksum,
+  hasThumbnail: Boolean(attachment.thumbnailKey),
+});
+
+/**
+ * POST /api/media/upload
+ * Multipart form: file (required), chatId (optional), checksum (optional SHA-256 hex to verify).
+ * Images get width/height and a server-generated thumbnail.
+ * Send the returned attachment _id as attachmentId in send-message.
+ */
+router.post('/upload', authenticate, handleUpload, validate('POST /api/media/upload'), async (req, res) => {
+  try {
+    const file = req.file;
+    const { chatId, checksum } = req.body;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'file is required',
+      });
+    }
+
+    if (chatId) {
+      const chat = mongoose.isValidObjectId(chatId) ? await Chat.findById(chatId).select('participants').lean() : null;
+      if (!chat || !chat.participants.some((p) => p.toString() === req.userId.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied',
+        });
+      }
+    }
+
+    const digest = sha256(file.buffer);
+    if (checksum && String(checksum).toLowerCase() !== digest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checksum mismatch',
+      });
+    }
+
+    let width = null;
+    let height = null;
+    let thumbnail = null;
+
+    if (THUMBNAIL_MIME_TYPES.includes(file.mimetype)) {
+      try {
+        const metadata = await sharp(file.buffer).metadata();
+        // EXIF orientations 5-8 are rotated by 90°, so the displayed size is swapped
+        const rotated = metadata.orientation >= 5;
+        width = rotated ? metadata.height : metadata.width;
+        height = rotated ? metadata.width : metadata.height;
+
+        thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 70 })
+          .toBuffer();
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid image file',
+        });
+      }
+    }
+
+    const storage = getStorage();
+    const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const baseKey = `attachments/${req.userId}/${crypto.randomBytes(16).toString('hex')}`;
+    const storageKey = `${baseKey}${ext}`;
+    const thumbnailKey = thumbnail ? `${baseKey}-thumb.jpg` : null;
+
+    await storage.put(storageKey, file.buffer, file.mimetype);
+    if (thumbnail) {
+      await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+    }
+
+    const attachment = await Attachment.create({
+      uploaderId: req.userId,
+      chatId: chatId || null,
+      storageKey,
+      thumbnailKey,
+      name: (file.originalname || 'file').slice(0, 255),
+      size: file.size,
+      mimeType: file.mimetype,
+      width,
+      height,
+      checksum: digest,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        attachment: formatAttachment(attachment),
+      },
+    });
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading media',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/media/:attachmentId
+ * Attachment metadata plus short-lived signed download URLs (chat participants only).
+ */
+router.get('/:attachmentId', authenticate, validate('GET /api/media/:attachmentId'), async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const attachment = mongoose.isValidObjectId(attachmentId) ? await Attachment.findById(attachmentId) : null;
+
+    if (!attachment || !(await canAccess(attachment, req.userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attachment: formatAttachment(attachment),
+        url: signDownloadUrl(attachment._id, 'original'),
+        thumbnailUrl: attachment.thumbnailKey ? signDownloadUrl(attachment._id, 'thumbnail') : null,
+        expiresIn: MEDIA_URL_TTL_SECONDS,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachment',
+      error: error.message,
+    });
+  }
+});
+
+// Signed URLs skip the Authorization header; everything else goes through authenticate
+const authenticateOrSigned = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (signature) {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+    if (!verifyDownloadSignature(req.params.attachmentId, variant, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired download link',
+      });
+    }
+    req.signedDownload = true;
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * GET /api/media/:attachmentId/download?variant=original|thumbnail
+ * Streams the file. Requires a valid signature from GET /api/media/:attachmentId or a Bearer token.
+ */
+router.get('/:attachmentId/download', authenticateOrSigned, validate('GET /api/media/:attachmentId/download'), async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+    const attachment = mongoose.isValidObjectId(attachmentId) ? await Attachment.findById(attachmentId) : null;
+
+    if (!attachment || (!req.signedDownload && !(await canAccess(attachment, req.userId)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.storageKey;
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not available',
+      });
+    }
+
+    const stream = await getStorage().get(key);
+
+    res.setHeader('Content-Type', variant === 'thumbnail' ? 'image/jpeg' : attachment.mimeType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    // The type came from the uploader, so browsers must not sniff a different one
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (variant === 'original') {
+      const disposition = isInlineMimeType(attachment.mimeType) ? 'inline' : 'attachment';
+      res.setHeader('Content-Length', attachment.size);
+      res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+    }
+
+    stream.on('error', (err) => {
+      console.error('Media stream error:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading media:', error);
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const sharp = require('sharp');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getStorage } = require('../config/storage');
+const { THUMBNAIL_MIME_TYPES } = require('../utils/attachments');
+const { formatProfile, parseProfileUpdate, broadcastProfileUpdate } = require('../utils/profile');
+
+const AVATAR_SIZE = 512;
+const AVATAR_MAX_FILE_SIZE = parseInt(process.env.AVATAR_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024; // 5 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!THUMBNAIL_MIME_TYPES.includes(file.mimetype)) {
+      const err = new Error('Avatar must be a JPEG, PNG, GIF or WebP image');
+      err.status = 415;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Run multer and turn its errors into the usual JSON responses
+const handleUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `Avatar is larger than ${AVATAR_MAX_FILE_SIZE} bytes`
+          : err.message,
+      });
+    }
+
+    return res.status(err.status || 400).json({
+      success: false,
+      message: err.message,
+    });
+  });
+};
+
+// Avatars are served from an unguessable, per-upload path, so the URL can be cached forever
+const avatarKey = (userId, fileName) => `avatars/${userId}/${fileName}`;
+const avatarUrl = (userId, fileName) => `/api/profile/avatar/${userId}/${fileName}`;
+
+// Best effort: a leftover file only costs storage
+const removeStoredAvatar = async (key) => {
+  if (!key) return;
+  try {
+    await getStorage().remove(key);
+  } catch (err) {
+    console.error('Error removing old avatar:', err.message);
+  }
+};
+
+/**
+ * PATCH /api/profile
+ * Body: { name?, about? } (name 1-50 characters, about up to 140)
+ */
+router.patch('/', authenticate, validate('PATCH /api/profile'), async (req, res) => {
+  try {
+    const { error, updates } = parseProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    req.user.set(updates);
+    await req.user.save();
+    await broadcastProfileUpdate(req.app.get('io'), req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated',
+      data: {
+        user: formatProfile(req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/profile/avatar
+ * Multipart form: file (JPEG, PNG, GIF or WebP). Stored as a 512x512 JPEG.
+ */
+router.put('/avatar', authenticate, handleUpload, validate('PUT /api/profile/avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'file is required',
+      });
+    }
+
+    let image;
+    try {
+      image = await sharp(req.file.buffer)
+        .rotate()
+        .resize({ width: AVATAR_SIZE, height: AVATAR_SIZE, fit: 'cover' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid image file',
+      });
+    }
+
+    const fileName = `${crypto.randomBytes(16).toString('hex')}.jpg`;
+    const key = avatarKey(req.userId, fileName);
+    await getStorage().put(key, image, 'image/jpeg');
+
+    const previousKey = req.user.avatarKey;
+    req.user.set({ avatarKey: key, profilePicture: avatarUrl(req.userId, fileName) });
+    await req.user.save();
+    await removeStoredAvatar(previousKey);
+    await broadcastProfileUpdate(req.app.get('io'), req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile picture updated',
+      data: {
+        user: formatProfile(req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating profile picture:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile picture',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE /api/profile/avatar
+router.delete('/avatar', authenticate, validate('DELETE /api/profile/avatar'), async (req, res) => {
+  try {
+    const previousKey = req.user.avatarKey;
+    req.user.set({ avatarKey: null, profilePicture: '' });
+    await req.user.save();
+    await removeStoredAvatar(previousKey);
+    await broadcastProfileUpdate(req.app.get('io'), req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile picture removed',
+      data: {
+        user: formatProfile(req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Error removing profile picture:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing profile picture',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/profile/avatar/:userId/:fileName
+ * The profilePicture URL. No Authorization header needed (works in <img src>).
+ */
+router.get('/avatar/:userId/:fileName', validate('GET /api/profile/avatar/:userId/:fileName'), async (req, res) => {
+  const { userId, fileName } = req.params;
+
+  try {
+    if (!mongoose.isValidObjectId(userId) || !/^[a-f0-9]{32}\.jpg$/.test(fileName)) {
+      throw new Error('Invalid avatar path');
+    }
+
+    const stream = await getStorage().get(avatarKey(userId, fileName));
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+
+    stream.on('error', (err) => {
+      console.error('Avatar stream error:', err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: 'Avatar not found',
+    });
+  }
+});
+
+module.exports = router;
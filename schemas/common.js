@@ -0,0 +1,81 @@
+const { PLATFORMS } = require('../utils/sessions');
+
+// Building blocks shared by the REST and socket schemas (JSON Schema, validated with ajv)
+
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$', title: 'ID' };
+
+// Object that lists every field it accepts; anything else is stripped
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false,
+  ...extra,
+});
+
+// At least one of these fields must be present
+const oneOfRequired = (...names) => ({ anyOf: names.map((name) => ({ required: [name] })) });
+
+// Path params that are all object IDs
+const idParams = (...names) => object(Object.fromEntries(names.map((name) => [name, objectId])), names);
+
+const phoneNumber = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 32,
+  description: 'E.164 (+919876543210), or a local number read in region',
+};
+
+const region = {
+  type: 'string',
+  pattern: '^[A-Za-z]{2}$',
+  title: 'country code',
+  description: 'ISO 3166-1 alpha-2 country code for local numbers',
+};
+
+// Optional device info for a new session (verify-otp, legacy refresh-token)
+const device = {
+  deviceId: { type: 'string', maxLength: 128, description: 'Stable per-install ID' },
+  deviceName: { type: 'string', maxLength: 100 },
+  platform: { type: 'string', maxLength: 32, description: `One of ${PLATFORMS.join(', ')}; anything else is stored as unknown` },
+};
+
+// Client-chosen call ID
+const channelId = { type: 'string', minLength: 1, maxLength: 128 };
+
+// RTCSessionDescriptionInit (type may be left out)
+const sessionDescription = object(
+  {
+    type: { enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+    sdp: { type: 'string', minLength: 1, maxLength: 64 * 1024 },
+  },
+  ['sdp']
+);
+
+// RTCIceCandidateInit
+const iceCandidate = object(
+  {
+    candidate: { type: 'string', maxLength: 1024 },
+    sdpMid: { type: ['string', 'null'], maxLength: 64 },
+    sdpMLineIndex: { type: ['integer', 'null'], minimum: 0 },
+    usernameFragment: { type: ['string', 'null'], maxLength: 256 },
+  },
+  ['candidate']
+);
+
+// Page size for list endpoints; larger values are capped by each endpoint
+const limit = { type: 'integer', minimum: 1 };
+
+module.exports = {
+  objectId,
+  object,
+  oneOfRequired,
+  idParams,
+  phoneNumber,
+  region,
+  device,
+  channelId,
+  sessionDescription,
+  iceCandidate,
+  limit,
+};
@@ -0,0 +1,229 @@
+const { LAST_SEEN_PRIVACY } = require('../utils/presence');
+const { NAME_MAX_LENGTH, ABOUT_MAX_LENGTH } = require('../utils/profile');
+const { GROUP_MAX_MEMBERS } = require('../utils/groupChat');
+const { CONTACT_SYNC_BATCH } = require('../utils/contacts');
+const { MIN_QUERY_LENGTH, MAX_QUERY_LENGTH, SEARCHABLE_TYPES } = require('../utils/messageSearch');
+const { MAX_EMOJI_LENGTH, MESSAGE_MAX_LENGTH } = require('../utils/messageActions');
+const {
+  objectId,
+  object,
+  oneOfRequired,
+  idParams,
+  phoneNumber,
+  region,
+  device,
+  limit,
+} = require('./common');
+
+/*
+ * Request schemas for every REST route, keyed by "METHOD /path" (Express path syntax).
+ * Each entry: summary, and params / query / body schemas where the route takes them
+ * (multipart: the body is form fields next to the uploaded file); a route without a body or query
+ * schema gets those stripped. Enforced by middleware/validate.js,
+ * and scripts/generate-api-docs.js turns them into an OpenAPI document.
+ */
+
+const GROUP_NAME_MAX_LENGTH = 100;
+const GROUP_DESCRIPTION_MAX_LENGTH = 500;
+const URL_MAX_LENGTH = 2048;
+
+const chatId = idParams('chatId');
+const messageParams = idParams('chatId', 'messageId');
+const messageText = { type: 'string', minLength: 1, maxLength: MESSAGE_MAX_LENGTH };
+const groupFields = {
+  name: { type: 'string', minLength: 1, maxLength: GROUP_NAME_MAX_LENGTH },
+  description: { type: 'string', maxLength: GROUP_DESCRIPTION_MAX_LENGTH },
+  avatar: { type: 'string', maxLength: URL_MAX_LENGTH },
+};
+
+module.exports = {
+  // Authentication
+  'POST /api/auth/send-otp': {
+    summary: 'Send a login OTP by SMS',
+    body: object({ mobileNumber: phoneNumber, region }, ['mobileNumber']),
+  },
+  'POST /api/auth/verify-otp': {
+    summary: 'Verify an OTP and log in (registers new numbers)',
+    body: object(
+      { mobileNumber: phoneNumber, region, otp: { type: 'string', pattern: '^\\s*\\d{4,10}\\s*$', title: 'code' }, ...device },
+      ['mobileNumber', 'otp']
+    ),
+  },
+  'POST /api/auth/refresh-token': {
+    summary: 'Exchange a refresh token for a new token pair',
+    body: object({ refreshToken: { type: 'string', minLength: 1, maxLength: 4096 }, ...device }, ['refreshToken']),
+  },
+  'POST /api/auth/logout': { summary: "End this device's session" },
+  'POST /api/auth/fcm-token': {
+    summary: "Save this device's push token (empty string clears it)",
+    body: object({ fcmToken: { type: 'string', maxLength: 4096 } }, ['fcmToken']),
+  },
+  'GET /api/auth/me': { summary: 'Current user' },
+  'PATCH /api/auth/privacy': {
+    summary: 'Update privacy settings',
+    body: object({ lastSeen: { enum: LAST_SEEN_PRIVACY } }, ['lastSeen']),
+  },
+  'GET /api/auth/blocked': { summary: 'Users you blocked' },
+  'POST /api/auth/blocked': {
+    summary: 'Block a user',
+    body: object({ userId: objectId }, ['userId']),
+  },
+  'DELETE /api/auth/blocked/:userId': { summary: 'Unblock a user', params: idParams('userId') },
+  'GET /api/auth/sessions': { summary: 'Logged-in devices' },
+  'DELETE /api/auth/sessions': { summary: 'Log out every other device' },
+  'DELETE /api/auth/sessions/:sessionId': { summary: 'Log out one device', params: idParams('sessionId') },
+
+  // Chat
+  'GET /api/chat/list': { summary: 'Chats with last message and unread counts' },
+  'GET /api/chat/search': {
+    summary: 'Find a user by mobile number',
+    query: object({ mobileNumber: phoneNumber, region }, ['mobileNumber']),
+  },
+  'GET /api/chat/search/messages': {
+    summary: 'Full-text search over your chats',
+    query: object(
+      {
+        q: { type: 'string', minLength: MIN_QUERY_LENGTH, maxLength: MAX_QUERY_LENGTH },
+        chatId: objectId,
+        senderId: objectId,
+        from: { type: 'string', maxLength: 64, description: 'Date (ISO 8601)' },
+        to: { type: 'string', maxLength: 64, description: 'Date (ISO 8601)' },
+        messageType: { enum: SEARCHABLE_TYPES },
+        limit,
+        before: { ...objectId, description: 'nextCursor of the previous page' },
+      },
+      ['q']
+    ),
+  },
+  'GET /api/chat/presence': {
+    summary: 'Presence of users you chat with',
+    query: object({ userIds: { type: 'string', minLength: 1, maxLength: 5000, description: 'Comma-separated user IDs' } }, ['userIds']),
+  },
+  'POST /api/chat/create': {
+    summary: 'Get or create a direct chat (receiverId), or create a group (participantIds + name)',
+    body: object(
+      {
+        receiverId: objectId,
+        participantIds: { type: 'array', items: objectId, minItems: 1, maxItems: GROUP_MAX_MEMBERS },
+        ...groupFields,
+      },
+      [],
+      oneOfRequired('receiverId', 'participantIds')
+    ),
+  },
+  'GET /api/chat/:chatId/messages': {
+    summary: 'Message history (cursor pagination)',
+    params: chatId,
+    query: object({ before: objectId, after: objectId, around: objectId, limit }),
+  },
+  'POST /api/chat/:chatId/read': {
+    summary: 'Mark messages read up to a message',
+    params: chatId,
+    body: object({ upToMessageId: objectId }, ['upToMessageId']),
+  },
+  'PATCH /api/chat/:chatId/messages/:messageId': {
+    summary: 'Edit a message (sender only)',
+    params: messageParams,
+    body: object({ message: messageText }, ['message']),
+  },
+  'DELETE /api/chat/:chatId/messages/:messageId': {
+    summary: 'Delete a message for you or for everyone',
+    params: messageParams,
+    query: object({ scope: { enum: ['me', 'everyone'], default: 'me' } }),
+  },
+  'PUT /api/chat/:chatId/messages/:messageId/reaction': {
+    summary: 'Add or change your reaction',
+    params: messageParams,
+    body: object({ emoji: { type: 'string', minLength: 1, maxLength: MAX_EMOJI_LENGTH } }, ['emoji']),
+  },
+  'DELETE /api/chat/:chatId/messages/:messageId/reaction': {
+    summary: 'Remove your reaction',
+    params: messageParams,
+  },
+
+  // Profile
+  'PATCH /api/profile': {
+    summary: 'Edit name and about',
+    body: object(
+      {
+        name: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+        about: { type: 'string', maxLength: ABOUT_MAX_LENGTH },
+      },
+      [],
+      oneOfRequired('name', 'about')
+    ),
+  },
+  'PUT /api/profile/avatar': { summary: 'Upload a profile picture (multipart: file)', multipart: true },
+  'DELETE /api/profile/avatar': { summary: 'Remove the profile picture' },
+  'GET /api/profile/avatar/:userId/:fileName': {
+    summary: 'Profile picture (public)',
+    params: object({ userId: { type: 'string' }, fileName: { type: 'string' } }, ['userId', 'fileName']),
+  },
+
+  // Contacts
+  'POST /api/contacts/sync': {
+    summary: 'Sync phone-book contacts and get the registered ones',
+    body: object(
+      {
+        contacts: { type: 'array', items: { type: 'string', maxLength: 64 }, maxItems: CONTACT_SYNC_BATCH, default: [] },
+        removed: { type: 'array', items: { type: 'string', maxLength: 64 }, maxItems: CONTACT_SYNC_BATCH, default: [] },
+        replace: { type: 'boolean', default: false },
+        region,
+      }
+    ),
+  },
+  'GET /api/contacts': { summary: 'Registered users among your synced contacts' },
+
+  // Media
+  'POST /api/media/upload': {
+    summary: 'Upload an attachment (multipart: file, chatId?, checksum?)',
+    multipart: true,
+    body: object({
+      chatId: objectId,
+      checksum: { type: 'string', pattern: '^[a-fA-F0-9]{64}$', title: 'SHA-256 hex digest' },
+    }),
+  },
+  'GET /api/media/:attachmentId': {
+    summary: 'Attachment metadata with signed download URLs',
+    params: idParams('attachmentId'),
+  },
+  'GET /api/media/:attachmentId/download': {
+    summary: 'Download an attachment (Authorization header or signed URL)',
+    params: idParams('attachmentId'),
+    query: object({
+      variant: { enum: ['original', 'thumbnail'], default: 'original' },
+      expires: { type: 'string', maxLength: 20 },
+      signature: { type: 'string', maxLength: 128 },
+    }),
+  },
+
+  // Groups
+  'GET /api/group/:chatId': { summary: 'Group info and members', params: chatId },
+  'PATCH /api/group/:chatId': {
+    summary: 'Edit group name, description or avatar (admins)',
+    params: chatId,
+    body: object(groupFields),
+  },
+  'POST /api/group/:chatId/members': {
+    summary: 'Add members (admins)',
+    params: chatId,
+    body: object({ userIds: { type: 'array', items: objectId, minItems: 1, maxItems: GROUP_MAX_MEMBERS } }, ['userIds']),
+  },
+  'DELETE /api/group/:chatId/members/:memberId': {
+    summary: 'Remove a member (admins)',
+    params: idParams('chatId', 'memberId'),
+  },
+  'POST /api/group/:chatId/leave': { summary: 'Leave the group', params: chatId },
+  'POST /api/group/:chatId/admins': {
+    summary: 'Promote a member to admin (admins)',
+    params: chatId,
+    body: object({ userId: objectId }, ['userId']),
+  },
+
+  // Calls
+  'GET /api/call/config': { summary: 'ICE servers for WebRTC, with fresh TURN credentials' },
+  'GET /api/call/history': {
+    summary: 'Call history (page-based)',
+    query: object({ page: { type: 'integer', minimum: 1, default: 1 }, limit }),
+  },
+};
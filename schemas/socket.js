@@ -0,0 +1,184 @@
+const { MAX_PRESENCE_USERS } = require('../utils/presence');
+const { MAX_EMOJI_LENGTH, MESSAGE_MAX_LENGTH } = require('../utils/messageActions');
+const { MAX_CALL_PARTICIPANTS, MEDIA_STATE_FIELDS } = require('../utils/calls');
+const {
+  objectId,
+  object,
+  oneOfRequired,
+  channelId,
+  sessionDescription,
+  iceCandidate,
+  limit,
+} = require('./common');
+
+/*
+ * Payload schemas for every client -> server socket event. Enforced for all events by the
+ * socket handler (events without a schema are rejected); errors go out on errorEvent
+ * (default 'error'). Also part of the generated API docs.
+ */
+
+const messageIds = { type: 'array', items: objectId, maxItems: 1000 };
+const userIds = { type: 'array', items: objectId, maxItems: MAX_PRESENCE_USERS };
+const callUserIds = { type: 'array', items: objectId, minItems: 1, maxItems: MAX_CALL_PARTICIPANTS - 1 };
+const flag = { type: 'boolean' };
+const typing = object({ chatId: objectId, receiverId: objectId }, [], oneOfRequired('chatId', 'receiverId'));
+
+module.exports = {
+  // Calls
+  'call-invite': {
+    summary: 'Start a call: 1:1 (calleeId + offer) or group (calleeIds or a group chatId)',
+    errorEvent: 'call-error',
+    payload: object(
+      {
+        channelId,
+        callType: { enum: ['audio', 'video'], default: 'audio' },
+        callerId: objectId,
+        callerName: { type: 'string', maxLength: 100 },
+        calleeId: objectId,
+        offer: sessionDescription,
+        calleeIds: callUserIds,
+        chatId: objectId,
+      },
+      ['channelId', 'callerId'],
+      { ...oneOfRequired('calleeId', 'calleeIds', 'chatId'), dependencies: { calleeId: ['offer'] } }
+    ),
+  },
+  'call-accept': {
+    summary: 'Accept a call (answer)',
+    errorEvent: 'call-error',
+    payload: object({ channelId, callerId: objectId, answer: sessionDescription }, ['channelId', 'callerId', 'answer']),
+  },
+  'call-join': {
+    summary: 'Join a group call (invited, or a member of its group chat)',
+    errorEvent: 'call-error',
+    payload: object({ channelId }, ['channelId']),
+  },
+  'call-add': {
+    summary: 'Invite more users into your call',
+    errorEvent: 'call-error',
+    payload: object({ channelId, userIds: callUserIds }, ['channelId', 'userIds']),
+  },
+  'call-offer': {
+    summary: 'Send an offer to one participant (group calls)',
+    errorEvent: 'call-error',
+    payload: object({ channelId, toUserId: objectId, offer: sessionDescription }, ['channelId', 'toUserId', 'offer']),
+  },
+  'call-answer': {
+    summary: "Answer one participant's offer (group calls)",
+    errorEvent: 'call-error',
+    payload: object({ channelId, toUserId: objectId, answer: sessionDescription }, ['channelId', 'toUserId', 'answer']),
+  },
+  'ice-candidate': {
+    summary: 'Relay an ICE candidate to one participant (toUserId; the other party in 1:1 calls)',
+    errorEvent: 'call-error',
+    payload: object({ channelId, toUserId: objectId, candidate: iceCandidate }, ['channelId', 'candidate']),
+  },
+  'call-renegotiate': {
+    summary: 'Renegotiate a connected call (offer or answer), e.g. to add video or screen sharing',
+    errorEvent: 'call-error',
+    payload: object(
+      {
+        channelId,
+        toUserId: objectId,
+        offer: sessionDescription,
+        answer: sessionDescription,
+        callType: { enum: ['audio', 'video'], description: "'video' when the offer turns video on" },
+      },
+      ['channelId'],
+      oneOfRequired('offer', 'answer')
+    ),
+  },
+  'call-media-state': {
+    summary: 'Tell the others in the call you muted, turned the camera off, put them on hold or share your screen',
+    errorEvent: 'call-error',
+    payload: object(
+      { channelId, audioMuted: flag, videoMuted: flag, onHold: flag, screenSharing: flag },
+      ['channelId'],
+      oneOfRequired(...MEDIA_STATE_FIELDS)
+    ),
+  },
+  'call-reject': {
+    summary: 'Reject a ringing call',
+    errorEvent: 'call-error',
+    payload: object({ channelId, callerId: objectId }, ['channelId', 'callerId']),
+  },
+  'call-end': {
+    summary: 'End or cancel a call (group calls: leave)',
+    errorEvent: 'call-error',
+    payload: object({ channelId }, ['channelId']),
+  },
+  'call-request-offer': {
+    summary: "Ask for a ringing call's offer (callee)",
+    errorEvent: 'call-error',
+    payload: object({ channelId }, ['channelId']),
+  },
+
+  // Session
+  'refresh-token': {
+    summary: 'Rotate tokens (defaults to the refresh token the socket connected with)',
+    payload: object({ refreshToken: { type: 'string', minLength: 1, maxLength: 4096 } }),
+  },
+
+  // Messaging
+  'join-chat': {
+    summary: "Join a chat's room (needed for group typing)",
+    payload: object({ chatId: objectId }, ['chatId']),
+  },
+  'send-message': {
+    summary: 'Send a message (direct: receiverId, group: chatId)',
+    payload: object(
+      {
+        chatId: objectId,
+        receiverId: objectId,
+        message: { type: 'string', maxLength: MESSAGE_MAX_LENGTH },
+        messageType: { enum: ['text', 'image', 'file'], default: 'text' },
+        attachmentId: objectId,
+        replyTo: objectId,
+      },
+      [],
+      { allOf: [oneOfRequired('chatId', 'receiverId'), oneOfRequired('message', 'attachmentId')] }
+    ),
+  },
+  'mark-delivered': {
+    summary: 'Mark messages delivered (all pending ones without messageIds)',
+    payload: object({ chatId: objectId, messageIds }, ['chatId']),
+  },
+  'mark-read': {
+    summary: 'Mark messages read up to a message',
+    payload: object({ chatId: objectId, upToMessageId: objectId, messageId: objectId }, ['chatId'], oneOfRequired('upToMessageId', 'messageId')),
+  },
+  'edit-message': {
+    summary: 'Edit a message (sender only)',
+    payload: object(
+      { chatId: objectId, messageId: objectId, message: { type: 'string', minLength: 1, maxLength: MESSAGE_MAX_LENGTH } },
+      ['chatId', 'messageId', 'message']
+    ),
+  },
+  'delete-message': {
+    summary: 'Delete a message for you or for everyone',
+    payload: object({ chatId: objectId, messageId: objectId, scope: { enum: ['me', 'everyone'], default: 'me' } }, ['chatId', 'messageId']),
+  },
+  'react-message': {
+    summary: 'Set your reaction (null or empty removes it)',
+    payload: object(
+      { chatId: objectId, messageId: objectId, emoji: { type: ['string', 'null'], maxLength: MAX_EMOJI_LENGTH } },
+      ['chatId', 'messageId']
+    ),
+  },
+  'get-messages': {
+    summary: 'Message history (cursor pagination)',
+    payload: object({ chatId: objectId, before: objectId, after: objectId, around: objectId, limit }, ['chatId']),
+  },
+  typing: { summary: 'Typing started (direct: receiverId, group: chatId)', payload: typing },
+  'stop-typing': { summary: 'Typing stopped', payload: typing },
+
+  // Presence
+  'presence-subscribe': {
+    summary: 'Get and follow presence of users you chat with',
+    payload: object({ userIds }, ['userIds']),
+  },
+  'presence-unsubscribe': {
+    summary: 'Stop following presence',
+    payload: object({ userIds }, ['userIds']),
+  },
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const REST_SCHEMAS = require('../schemas/rest');
+const SOCKET_SCHEMAS = require('../schemas/socket');
+const { VALIDATION_CODES } = require('../utils/validation');
+const { version } = require('../package.json');
+
+// Write an OpenAPI 3.1 document generated from the request schemas in schemas/.
+// Socket events are listed under x-socket-events.
+//   node scripts/generate-api-docs.js [output file, default openapi.json]
+const output = process.argv[2] || 'openapi.json';
+
+// OpenAPI parameters from an object schema (path or query)
+const toParameters = (schema, location) =>
+  Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || schema.required.includes(name),
+    schema: property,
+  }));
+
+const validationError = {
+  type: 'object',
+  properties: {
+    success: { const: false },
+    message: { type: 'string' },
+    code: { const: 'VALIDATION_ERROR' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          in: { enum: ['params', 'query', 'body', 'payload'] },
+          field: { type: 'string' },
+          code: { enum: [...new Set([...Object.values(VALIDATION_CODES), 'invalid'])] },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const paths = {};
+for (const [route, spec] of Object.entries(REST_SCHEMAS)) {
+  const [method, routePath] = route.split(' ');
+  const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+
+  const operation = {
+    summary: spec.summary,
+    parameters: [
+      ...(spec.params ? toParameters(spec.params, 'path') : []),
+      ...(spec.query ? toParameters(spec.query, 'query') : []),
+    ],
+    responses: {
+      200: { description: 'Success' },
+      400: { description: 'Invalid input', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } },
+    },
+  };
+  if (spec.body || spec.multipart) {
+    const body = spec.body || { type: 'object', properties: {} };
+    operation.requestBody = {
+      content: spec.multipart
+        ? { 'multipart/form-data': { schema: { ...body, properties: { file: { type: 'string', format: 'binary' }, ...body.properties }, required: ['file', ...(body.required || [])] } } }
+        : { 'application/json': { schema: body } },
+    };
+  }
+
+  paths[openApiPath] = { ...paths[openApiPath], [method.toLowerCase()]: operation };
+}
+
+const document = {
+  openapi: '3.1.0',
+  info: { title: 'Chat Backend API', version },
+  components: {
+    schemas: { ValidationError: validationError },
+  },
+  paths,
+  'x-socket-events': Object.fromEntries(
+    Object.entries(SOCKET_SCHEMAS).map(([event, spec]) => [
+      event,
+      { summary: spec.summary, errorEvent: spec.errorEvent || 'error', payload: spec.payload },
+    ])
+  ),
+};
+
+fs.writeFileSync(path.resolve(output), `${JSON.stringify(document, null, 2)}\n`);
+console.log(`Wrote ${output} (${Object.keys(REST_SCHEMAS).length} routes, ${Object.keys(SOCKET_SCHEMAS).length} socket events)`);
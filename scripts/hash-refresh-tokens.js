@@ -0,0 +1,42 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { hashToken } = require('../utils/sessions');
+
+// Replace the plaintext refresh tokens of logins from before per-device sessions (User.refreshToken)
+// with their SHA-256, the only form the server checks. Safe to run more than once.
+//   node scripts/hash-refresh-tokens.js [--dry-run]
+// Those devices keep working: their next refresh moves them into a session with a new token.
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = User.find({ refreshToken: { $ne: null, $not: HASH_PATTERN } })
+    .select('refreshToken')
+    .lean()
+    .cursor();
+  let hashed = 0;
+
+  for await (const user of cursor) {
+    hashed += 1;
+    if (!dryRun) {
+      await User.updateOne(
+        { _id: user._id, refreshToken: user.refreshToken },
+        { $set: { refreshToken: hashToken(user.refreshToken) } }
+      );
+    }
+  }
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Hashed ${hashed} refresh token(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
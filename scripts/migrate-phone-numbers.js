@@ -0,0 +1,76 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const OTP = require('../models/OTP');
+
+// Convert stored mobile numbers without a country code (the old 10-digit format) to E.164 and
+// set mobileNumberHash for users that don't have one. Safe to run more than once.
+//   node scripts/migrate-phone-numbers.js [--dry-run]
+// Numbers are read in LEGACY_PHONE_REGION (default IN). Numbers that aren't valid there (login
+// couldn't match them once converted), or that would clash with an existing E.164 account, are
+// reported for manual follow-up and left alone.
+const LEGACY_PHONE_REGION = (process.env.LEGACY_PHONE_REGION || 'IN').toUpperCase();
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = User.find({
+    $or: [{ mobileNumber: { $not: /^\+/ } }, { mobileNumberHash: null }],
+  })
+    .select('mobileNumber mobileNumberHash')
+    .lean()
+    .cursor();
+  let converted = 0;
+  let hashed = 0;
+  const skipped = [];
+
+  for await (const user of cursor) {
+    let mobileNumber = user.mobileNumber;
+
+    if (!mobileNumber.startsWith('+')) {
+      const phone = parsePhoneNumberFromString(mobileNumber.replace(/\D/g, ''), LEGACY_PHONE_REGION);
+      if (!phone || !phone.isValid()) {
+        skipped.push(`${user._id} ${mobileNumber}: not a valid ${LEGACY_PHONE_REGION} number`);
+        continue;
+      }
+      if (await User.exists({ mobileNumber: phone.number, _id: { $ne: user._id } })) {
+        skipped.push(`${user._id} ${mobileNumber}: ${phone.number} belongs to another user`);
+        continue;
+      }
+      mobileNumber = phone.number;
+      converted += 1;
+    } else {
+      hashed += 1;
+    }
+
+    if (!dryRun) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { mobileNumber, mobileNumberHash: User.hashMobileNumber(mobileNumber) } }
+      );
+    }
+  }
+
+  // Pending codes for old-format numbers can't be verified any more
+  const staleOtps = dryRun
+    ? await OTP.countDocuments({ mobileNumber: { $not: /^\+/ } })
+    : (await OTP.deleteMany({ mobileNumber: { $not: /^\+/ } })).deletedCount;
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Converted ${converted} number(s) to E.164, hashed ${hashed} more`);
+  console.log(`${prefix}Removed ${staleOtps} pending OTP(s) for old-format numbers`);
+  if (skipped.length > 0) {
+    console.log(`${prefix}Skipped ${skipped.length} user(s):`);
+    skipped.forEach((line) => console.log(`  ${line}`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -5,11 +5,19 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const { initializeSocket } = require('./socket/socketHandler');
+const { getSocketAdapter } = require('./config/stateStore');
+const { recoverCalls } = require('./utils/callLifecycle');
+const { startUnsentAttachmentCleanup } = require('./utils/attachments');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const callRoutes = require('./routes/call');
+const groupRoutes = require('./routes/group');
+const mediaRoutes = require('./routes/media');
+const profileRoutes = require('./routes/profile');
+const contactRoutes = require('./routes/contacts');
 
 // Initialize Express app
 const app = express();
@@ -27,21 +35,47 @@ const io = new Server(server, {
   transports: ['websocket', 'polling'], // Allow both transports
 });
 
+// Cross-instance event routing when STATE_STORE=redis (see config/stateStore.js)
+const socketAdapter = getSocketAdapter();
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+
 // Initialize Socket handlers
 initializeSocket(io);
+// Routes emit socket events through req.app.get('io')
+app.set('io', io);
 
 // Connect to MongoDB
 connectDB();
 
+// Settle or resume the calls that were live when the server last stopped
+recoverCalls(io).catch((err) => console.error('Call recovery:', err.message));
+
+// Delete uploads that were never sent in a message
+startUnsentAttachmentCleanup();
+
+// Behind a load balancer / reverse proxy, set TRUST_PROXY (number of proxy hops, or their addresses)
+// so req.ip is the client's address, not the proxy's (rate limits are keyed by it)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Routes
+// Routes (overall per-IP budget first, then each route's own)
+app.use('/api', rateLimit('api'));
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/call', callRoutes);
+app.use('/api/group', groupRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -1,26 +1,116 @@
-const { verifyAccessToken, verifyRefreshToken, generateAccessToken } = require('../utils/jwt');
+const { verifyAccessToken } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
-const CallHistory = require('../models/CallHistory');
-const { sendMessageNotification, sendCallOfferNotification, sendMissedCallNotification } = require('../config/firebase');
-
-// Store active users (userId -> socketId)
-const activeUsers = new Map();
-// Store socket connections with their refresh tokens
+const { sendMessageNotification, sendCallOfferNotification } = require('../config/firebase');
+const {
+  PARTICIPANT_FIELDS,
+  userRoom,
+  idOf,
+  isParticipant,
+  formatGroupInfo,
+  notifyGroupMembers,
+} = require('../utils/groupChat');
+const {
+  loadAttachmentForMessage,
+  bindAttachment,
+  toMessageAttachment,
+  messageTypeFor,
+} = require('../utils/attachments');
+const {
+  buildReplySnapshot,
+  reactToMessage,
+  editMessage,
+  deleteMessageForMe,
+  deleteMessageForEveryone,
+} = require('../utils/messageActions');
+const { markDelivered, markReadUpTo, emitNewMessage } = require('../utils/receipts');
+const { fetchMessagePage } = require('../utils/messageHistory');
+const { incrementUnread, unreadCountFor, getTotalUnread } = require('../utils/unread');
+const {
+  sessionRoom,
+  formatSession,
+  resolveRefreshToken,
+  rotateSession,
+  upgradeLegacyLogin,
+  touchSession,
+  pushToUser,
+} = require('../utils/sessions');
+const { getStateStore, PRESENCE_TTL_MS } = require('../config/stateStore');
+const {
+  subscribePresence,
+  unsubscribePresence,
+  broadcastPresence,
+  markOffline,
+} = require('../utils/presence');
+const { NEUTRAL_SEND_ERROR, isBlockedBetween, hasBlocked } = require('../utils/blocking');
+const { checkSocketRateLimit } = require('../utils/rateLimit');
+const { validateInput } = require('../utils/validation');
+const {
+  MAX_CALL_PARTICIPANTS,
+  ACTIVE_STATES,
+  MEDIA_STATE_FIELDS,
+  mediaState,
+  createParticipant,
+  getParticipant,
+  participantsIn,
+  isActive,
+  participantTarget,
+  joinedTargets,
+  joinCall,
+  formatParticipant,
+  formatCall,
+} = require('../utils/calls');
+const {
+  queueCallTask,
+  emitToTargets,
+  saveCall,
+  recordCall,
+  startRinging,
+  stopRinging,
+  endCall,
+  leaveGroupCall,
+} = require('../utils/callLifecycle');
+const SOCKET_SCHEMAS = require('../schemas/socket');
+
+/*
+ * Presence (userId -> connected sockets), active calls, invite dedupe, ended channels and pending
+ * rings live in the state store (config/stateStore.js), so they are shared by every server instance.
+ * Only per-socket and timer handles stay in this process.
+ */
+
+// Refresh token each socket connected with (socketId -> token). Its client handles token-refreshed,
+// so the periodic refresh runs for it; pre-session sockets also need the token to move into a session.
 const socketRefreshTokens = new Map();
-// Store active calls (channelId -> { callerId, calleeId, callerName })
-const activeCalls = new Map();
-// Dedupe: only one invite + one FCM per channelId
-const callInviteSentForChannel = new Set();
-// 3-minute ring timeout: channelId -> { timeoutId, calleeFcmToken }
-const callRingTimeouts = new Map();
-// After reject/end/timeout: never send invite or FCM for this channelId again
-const endedOrRejectedChannels = new Set();
-
-const RING_TIMEOUT_MS = 3 * 60 * 1000; // 3 minutes
 
 const initializeSocket = (io) => {
+  const stateStore = getStateStore();
+
+  const isOnline = (userId) => stateStore.isUserOnline(userId);
+
+  // Ring group call invitees on every device (socket + FCM); each has their own ring timeout,
+  // after which they missed the call while it goes on for the others
+  const ringGroupInvitees = async (call, userIds) => {
+    const { channelId, callerId, callerName, callerPhone, callType, chatId } = call;
+    emitToTargets(io, userIds.map(userRoom), 'call-invite', formatCall(call));
+
+    for (const userId of userIds) {
+      pushToUser(userId, (token) =>
+        sendCallOfferNotification(token, { channelId, callerId, callerName, calleeId: userId, callType, callerPhone, isGroup: true, chatId })
+      ).catch((err) => console.error('FCM call offer:', err.message));
+    }
+    await startRinging(io, call, userIds);
+  };
+
+  // Presence heartbeat: keep this instance's sockets fresh in a shared store
+  const presenceHeartbeat = setInterval(() => {
+    const entries = [...io.of('/').sockets.values()].map((s) => [s.userId, s.id]);
+    stateStore.refreshUserSockets(entries)
+      .catch((err) => console.error('Error refreshing presence:', err.message));
+  }, Math.floor(PRESENCE_TTL_MS / 3));
+  presenceHeartbeat.unref();
+
   // Authentication middleware for Socket.io
   io.use(async (socket, next) => {
     try {
@@ -31,24 +121,26 @@ const initializeSocket = (io) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      let decoded = null;
       let userId = null;
+      let sessionId = null;
 
       // Try to verify access token first
-      if (token) {
-        decoded = verifyAccessToken(token);
-        if (decoded) {
-          userId = decoded.userId;
-        }
+      const decoded = token ? verifyAccessToken(token) : null;
+      if (decoded) {
+        userId = decoded.userId;
+        sessionId = decoded.sessionId || null;
       }
 
-      // If access token is invalid/expired, try refresh token
-      if (!decoded && refreshToken) {
-        const refreshDecoded = verifyRefreshToken(refreshToken);
-        if (refreshDecoded) {
-          userId = refreshDecoded.userId;
-          // Store refresh token for this socket connection
-          socketRefreshTokens.set(socket.id, refreshToken);
+      // Refresh token must match its session (or the user's legacy token);
+      // it also authenticates on its own when the access token is invalid/expired
+      if (refreshToken) {
+        const refreshed = await resolveRefreshToken(io, refreshToken);
+        if (!refreshed || (userId && refreshed.user._id.toString() !== userId.toString())) {
+          return next(new Error('Authentication error: Invalid refresh token'));
+        }
+        if (!userId) {
+          userId = refreshed.user._id.toString();
+          sessionId = refreshed.session ? refreshed.session._id.toString() : null;
         }
       }
 
@@ -62,13 +154,14 @@ const initializeSocket = (io) => {
         return next(new Error('Authentication error: User not found or inactive'));
       }
 
-      // Verify refresh token matches user's stored refresh token
-      if (refreshToken && user.refreshToken !== refreshToken) {
-        return next(new Error('Authentication error: Invalid refresh token'));
+      // A revoked device can't reconnect with an access token that hasn't expired yet
+      if (sessionId && !(await Session.exists({ _id: sessionId, userId: user._id }))) {
+        return next(new Error('Authentication error: Session revoked'));
       }
 
       socket.userId = userId;
       socket.user = user;
+      socket.sessionId = sessionId;
       
       // Store refresh token if provided
       if (refreshToken) {
@@ -84,8 +177,20 @@ const initializeSocket = (io) => {
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.userId}`);
 
-    // Store user's socket connection
-    activeUsers.set(socket.userId.toString(), socket.id);
+    // Store user's socket connection (a user may be connected from several devices).
+    // First device online: tell presence subscribers
+    stateStore.addUserSocket(socket.userId, socket.id)
+      .then((socketCount) => {
+        if (socketCount === 1) broadcastPresence(io, socket.user, true);
+      })
+      .catch((err) => console.error('Error storing presence:', err.message));
+    // Personal room: everything for this user is emitted here, so it reaches all of their devices
+    socket.join(userRoom(socket.userId));
+    // Session room: lets a revoked session's sockets be disconnected
+    if (socket.sessionId) {
+      socket.join(sessionRoom(socket.sessionId));
+      touchSession(socket.sessionId).catch((err) => console.error('Error updating session:', err.message));
+    }
 
     // Send online status to user
     socket.emit('connected', {
@@ -93,34 +198,175 @@ const initializeSocket = (io) => {
       userId: socket.userId,
     });
 
+    // Initial badge count for this device
+    getTotalUnread(socket.userId)
+      .then((totalUnread) => socket.emit('unread-updated', { chatId: null, unreadCount: null, totalUnread }))
+      .catch((err) => console.error('Error loading unread total:', err.message));
+
+    // Flood protection: events over the user's budget are dropped and the client gets rate-limited
+    socket.use(([event], next) => {
+      checkSocketRateLimit(socket.userId, event).then((result) => {
+        if (!result.error) return next();
+        socket.emit('rate-limited', { event, retryAfter: result.retryAfter, message: result.error });
+      });
+    });
+
+    // Every payload is checked against schemas/socket.js and cleaned (unknown fields stripped) before
+    // its handler runs; events without a schema are refused
+    socket.use((packet, next) => {
+      const [event, payload] = packet;
+      const spec = SOCKET_SCHEMAS[event];
+      if (!spec) {
+        socket.emit('error', { event, code: 'UNKNOWN_EVENT', message: `Unknown event: ${event}` });
+        return;
+      }
+
+      const result = validateInput(spec.payload, payload, 'payload');
+      if (result.error) {
+        socket.emit(spec.errorEvent || 'error', { event, code: result.code, message: result.error, errors: result.errors });
+        return;
+      }
+
+      packet[1] = result.value;
+      next();
+    });
+
     // =========================
     // WebRTC Calling (Socket.io signaling only; media is peer-to-peer)
     // =========================
-    // Events: call-invite (offer), call-accept (answer), ice-candidate, call-reject, call-end
+    // 1:1 events: call-invite (offer), call-accept (answer), ice-candidate, call-reject, call-end
+    // Group (mesh) calls: call-invite to several users or a group chat, call-join, call-offer / call-answer /
+    // ice-candidate between each pair of participants, call-add, call-media-state, call-reject, call-end (leave)
+    // Every ending goes through utils/callLifecycle.js (history, missed-call pushes).
+
+    // Sort invitees: those this user may ring, and those that can't be rung (inactive -> unavailable,
+    // busy), which are reported to the caller. Blocked users are left out altogether.
+    const sortInvitees = async (channelId, userIds, checkBlocking) => {
+      const myUserIdStr = socket.userId.toString();
+      const users = await User.find({ _id: { $in: userIds } }).select('_id isActive').lean();
+      const activeIds = new Set(users.filter((u) => u.isActive).map((u) => u._id.toString()));
+
+      const invitees = [];
+      const unreachable = [];
+      for (const userId of userIds) {
+        if (!activeIds.has(userId)) {
+          socket.emit('call-unavailable', { channelId, calleeId: userId, message: 'User not found or inactive' });
+          unreachable.push({ userId, state: 'unavailable' });
+        } else if (checkBlocking && (await isBlockedBetween(myUserIdStr, userId))) {
+          if (await hasBlocked(myUserIdStr, userId)) {
+            socket.emit('call-error', { message: 'Unblock this user to call them' });
+          } else {
+            socket.emit('call-unavailable', { channelId, calleeId: userId, message: 'User is offline' });
+          }
+        } else if (await stateStore.findCallByUser(userId)) {
+          socket.emit('call-busy', { channelId, calleeId: userId, message: 'User is busy' });
+          unreachable.push({ userId, state: 'busy' });
+        } else {
+          invitees.push(userId);
+        }
+      }
+      return { invitees, unreachable };
+    };
 
-    // Caller starts call: sends offer. Server forwards to callee once per channelId and sends one FCM; 3-min ring timeout.
-    // Payload: { channelId, callType: 'audio'|'video', callerId, callerName, calleeId, offer }
-    socket.on('call-invite', async (data) => {
-      try {
-        const { channelId, callType = 'audio', callerId, callerName, calleeId, offer } = data || {};
+    const callerPhoneOf = async (userId) => {
+      const user = await User.findById(userId).select('mobileNumber').lean();
+      return user?.mobileNumber ? String(user.mobileNumber) : '';
+    };
 
-        if (!channelId || !callerId || !calleeId) {
-          socket.emit('call-error', { message: 'channelId, callerId and calleeId are required' });
+    // Group call to several users (calleeIds) or to every member of a group chat (chatId).
+    // The caller is joined right away and gets call-joined; each invitee rings on its own.
+    const startGroupCall = async ({ channelId, callType, callerName, calleeIds, chatId }) => {
+      const channelIdStr = String(channelId);
+      const myUserIdStr = socket.userId.toString();
+
+      let userIds;
+      if (chatId) {
+        const chat = await Chat.findById(chatId).select('isGroup participants').lean();
+        if (!chat || !chat.isGroup || !isParticipant(chat, myUserIdStr)) {
+          socket.emit('call-error', { message: 'Group chat not found' });
           return;
         }
+        userIds = chat.participants.map(idOf).filter((id) => id !== myUserIdStr);
+      } else {
+        userIds = [...new Set(calleeIds.map(String))].filter((id) => id !== myUserIdStr);
+      }
+
+      if (userIds.length === 0) {
+        socket.emit('call-error', { message: 'Nobody to call' });
+        return;
+      }
+      if (userIds.length + 1 > MAX_CALL_PARTICIPANTS) {
+        socket.emit('call-error', { message: `Calls are limited to ${MAX_CALL_PARTICIPANTS} participants` });
+        return;
+      }
+      if (await stateStore.findCallByUser(myUserIdStr)) {
+        socket.emit('call-error', { message: 'You are already in a call' });
+        return;
+      }
+
+      // Atomic across instances: one invite per call; ignore duplicate
+      if (!(await stateStore.markInviteSent(channelIdStr))) {
+        return;
+      }
+
+      // Group chats are not affected by blocking
+      const { invitees, unreachable } = await sortInvitees(channelId, userIds, !chatId);
+
+      const now = new Date();
+      const caller = createParticipant(myUserIdStr, 'ringing', now);
+      joinCall(caller, socket.id, now);
+      const call = {
+        channelId: channelIdStr,
+        callerId: myUserIdStr,
+        callerName: callerName || '',
+        callerPhone: await callerPhoneOf(myUserIdStr),
+        callType,
+        videoUsed: callType === 'video',
+        isGroup: true,
+        chatId: chatId ? String(chatId) : null,
+        inviteSentAt: now,
+        acceptedAt: null,
+        participants: [
+          caller,
+          ...invitees.map((userId) => createParticipant(userId, 'ringing', now)),
+          ...unreachable.map(({ userId, state }) => createParticipant(userId, state, now)),
+        ],
+      };
+
+      // Nobody to ring (blocked users aren't recorded)
+      if (invitees.length === 0) {
+        await stateStore.clearInviteSent(channelIdStr);
+        if (unreachable.length > 0) {
+          await recordCall(call, unreachable.every((u) => u.state === 'busy') ? 'busy' : 'inactive');
+        }
+        return;
+      }
+
+      await saveCall(call);
+
+      socket.emit('call-joined', formatCall(call));
+      await ringGroupInvitees(call, invitees);
+      console.log('Group call invite sent', { channelId, callerId: myUserIdStr, invitees: invitees.length });
+    };
+
+    // Caller starts a call.
+    // 1:1 (calleeId, with offer): server forwards to callee once per channelId and sends one FCM; rings for CALL_RING_TIMEOUT_SECONDS.
+    // An offline callee rings through FCM only; without a push token the call is unavailable.
+    // Group (calleeIds or chatId, no offer): see startGroupCall.
+    // Payload: { channelId, callType: 'audio'|'video', callerId, callerName, calleeId, offer }
+    //       or { channelId, callType, callerId, callerName, calleeIds | chatId }
+    socket.on('call-invite', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId, callType, callerId, callerName, calleeId, offer } = data;
 
         const channelIdStr = String(channelId);
-        if (endedOrRejectedChannels.has(channelIdStr)) {
+        if (await stateStore.isChannelEnded(channelIdStr)) {
           socket.emit('call-ended', { channelId, message: 'Call already ended or rejected' });
           return;
         }
-        if (callInviteSentForChannel.has(channelIdStr)) {
-          return; // One invite + one FCM per call; ignore duplicate
-        }
 
-        // Normalize IDs for consistent lookup (client may send string or object)
-        const callerIdStr = String(callerId).trim();
-        const calleeIdStr = String(calleeId).trim();
+        const callerIdStr = String(callerId);
+        const calleeIdStr = String(calleeId);
         const myUserIdStr = socket.userId.toString();
 
         if (callerIdStr !== myUserIdStr) {
@@ -128,56 +374,87 @@ const initializeSocket = (io) => {
           return;
         }
 
+        if (!calleeId) {
+          await startGroupCall(data);
+          return;
+        }
+
         if (calleeIdStr === myUserIdStr) {
           socket.emit('call-error', { message: 'Cannot call yourself' });
           return;
         }
 
-        // Offer can be object { type, sdp }; ensure we have at least type and sdp for signaling
-        const offerPayload = offer && (offer.sdp || offer.type)
-          ? { type: offer.type || 'offer', sdp: offer.sdp || '' }
-          : null;
-        if (!offerPayload) {
-          socket.emit('call-error', { message: 'offer with type and sdp is required' });
+        const offerPayload = { type: offer.type || 'offer', sdp: offer.sdp };
+
+        // Atomic across instances: one invite + one FCM per call; ignore duplicate
+        if (!(await stateStore.markInviteSent(channelIdStr))) {
           return;
         }
 
-        const callee = await User.findById(calleeIdStr).select('_id isActive fcmToken').lean();
-        if (!callee || !callee.isActive) {
+        const inviteSentAt = new Date();
+        // Signaling stays on the caller's device; the callee's is set on call-accept
+        const caller = createParticipant(myUserIdStr, 'ringing', inviteSentAt);
+        joinCall(caller, socket.id, inviteSentAt);
+        const callee = createParticipant(calleeIdStr, 'ringing', inviteSentAt);
+        const call = {
+          channelId: channelIdStr,
+          callerId: myUserIdStr,
+          calleeId: calleeIdStr,
+          callerName: callerName || '',
+          callerPhone: await callerPhoneOf(myUserIdStr),
+          callType,
+          videoUsed: callType === 'video',
+          isGroup: false,
+          chatId: null,
+          inviteSentAt,
+          acceptedAt: null,
+          offer: offerPayload,
+          participants: [caller, callee],
+        };
+
+        const calleeUser = await User.findById(calleeIdStr).select('_id isActive').lean();
+        if (!calleeUser || !calleeUser.isActive) {
+          await stateStore.clearInviteSent(channelIdStr);
           socket.emit('call-unavailable', { channelId, calleeId: calleeIdStr, message: 'User not found or inactive' });
+          if (calleeUser) {
+            callee.state = 'unavailable';
+            await recordCall(call, 'inactive');
+          }
           return;
         }
 
-        // Check busy: either user already in a call
-        for (const [, c] of activeCalls) {
-          if (
-            c.callerId.toString() === myUserIdStr ||
-            c.calleeId.toString() === myUserIdStr ||
-            c.callerId.toString() === calleeIdStr ||
-            c.calleeId.toString() === calleeIdStr
-          ) {
-            socket.emit('call-busy', { channelId, calleeId: calleeIdStr, message: 'User is busy' });
-            return;
+        // Blocked either way: no ring, no push and no history. A blocked caller sees the callee as offline.
+        if (await isBlockedBetween(myUserIdStr, calleeIdStr)) {
+          await stateStore.clearInviteSent(channelIdStr);
+          if (await hasBlocked(myUserIdStr, calleeIdStr)) {
+            socket.emit('call-error', { message: 'Unblock this user to call them' });
+          } else {
+            socket.emit('call-unavailable', { channelId, calleeId: calleeIdStr, message: 'User is offline' });
           }
+          return;
         }
 
-        callInviteSentForChannel.add(channelIdStr);
+        // Check busy: either user already in a call
+        const [myCall, calleeCall] = await Promise.all([
+          stateStore.findCallByUser(myUserIdStr),
+          stateStore.findCallByUser(calleeIdStr),
+        ]);
+        if (myCall || calleeCall) {
+          await stateStore.clearInviteSent(channelIdStr);
+          socket.emit('call-busy', { channelId, calleeId: calleeIdStr, message: 'User is busy' });
+          callee.state = 'busy';
+          await recordCall(call, 'busy');
+          return;
+        }
 
-        const calleeSocketId = activeUsers.get(calleeIdStr);
-        const isCalleeOnline = Boolean(calleeSocketId);
+        const isCalleeOnline = await isOnline(calleeIdStr);
 
-        if (isCalleeOnline) {
-          const inviteSentAt = new Date();
-          activeCalls.set(channelIdStr, {
-            callerId: socket.userId,
-            calleeId: calleeIdStr,
-            callerName: callerName || '',
-            callType,
-            inviteSentAt,
-            offer: offerPayload,
-          });
+        // Stored before anything rings, so a callee opening the app from the push can fetch the offer
+        await saveCall(call);
 
-          io.to(calleeSocketId).emit('call-invite', {
+        if (isCalleeOnline) {
+          // Rings every device of the callee
+          io.to(userRoom(calleeIdStr)).emit('call-invite', {
             channelId,
             callType,
             callerId: callerIdStr,
@@ -186,321 +463,470 @@ const initializeSocket = (io) => {
             offer: offerPayload,
           });
           console.log('Call invite sent via socket', { channelId, callerId: callerIdStr, calleeId: calleeIdStr });
-        } else {
-          socket.emit('call-unavailable', { channelId, calleeId: calleeIdStr, message: 'User is offline' });
         }
 
         // One FCM per call: incoming call (with optional callerPhone)
-        const callerUser = await User.findById(callerIdStr).select('mobileNumber').lean();
-        const callerPhone = callerUser?.mobileNumber ? String(callerUser.mobileNumber) : '';
-
-        if (callee.fcmToken) {
-          sendCallOfferNotification(callee.fcmToken, {
+        const pushed = await pushToUser(calleeIdStr, (token) =>
+          sendCallOfferNotification(token, {
             channelId,
             callerId: callerIdStr,
             callerName: callerName || '',
             calleeId: calleeIdStr,
             callType,
-            callerPhone,
+            callerPhone: call.callerPhone,
           })
-            .then((ok) => {
-              if (ok) console.log('Call offer push sent', { calleeId: calleeIdStr });
-              else console.warn('Call offer push not sent (check FCM)', { calleeId: calleeIdStr });
-            })
-            .catch((err) => console.error('FCM call offer:', err.message));
-        } else {
-          console.log('Callee has no fcmToken, skip call push', { calleeId: calleeIdStr });
-        }
-
-        // 3-minute ring timeout: if no call-accept, end call and send missed_call FCM to callee
-        const timeoutId = setTimeout(async () => {
-          callRingTimeouts.delete(channelIdStr);
-          endedOrRejectedChannels.add(channelIdStr);
-          callInviteSentForChannel.delete(channelIdStr);
-          const call = activeCalls.get(channelIdStr);
-          activeCalls.delete(channelIdStr);
-
-          const cid = call?.callerId?.toString?.() ?? callerIdStr;
-          const calleeIdForEnd = call?.calleeId?.toString?.() ?? calleeIdStr;
-          const callerSocketId = activeUsers.get(cid);
-          const calleeSocketIdEnd = activeUsers.get(calleeIdForEnd);
-          if (callerSocketId) io.to(callerSocketId).emit('call-ended', { channelId });
-          if (calleeSocketIdEnd) io.to(calleeSocketIdEnd).emit('call-ended', { channelId });
-
-          const startedAt = call?.inviteSentAt ? new Date(call.inviteSentAt) : new Date(Date.now() - RING_TIMEOUT_MS);
-          const endedAt = new Date();
-          try {
-            await CallHistory.create({
-              callerId: callerIdStr,
-              calleeId: calleeIdStr,
-              channelId: channelIdStr,
-              callType,
-              status: 'missed',
-              startedAt,
-              endedAt,
-              durationSeconds: 0,
-            });
-          } catch (e) {
-            console.error('CallHistory create (missed):', e.message);
-          }
+        ).catch((err) => {
+          console.error('FCM call offer:', err.message);
+          return false;
+        });
+        if (pushed) console.log('Call offer push sent', { calleeId: calleeIdStr });
+        else console.warn('Call offer push not sent (no device tokens or FCM error)', { calleeId: calleeIdStr });
 
-          if (callee.fcmToken) {
-            await sendMissedCallNotification(callee.fcmToken, {
-              channelId,
-              callerId: callerIdStr,
-              callerName: callerName || '',
-              callType,
-              callerPhone,
-            });
-          }
-        }, RING_TIMEOUT_MS);
-        callRingTimeouts.set(channelIdStr, { timeoutId, calleeFcmToken: callee.fcmToken });
+        // Offline and no push delivered: nothing rings
+        if (!isCalleeOnline && !pushed) {
+          socket.emit('call-unavailable', { channelId, calleeId: calleeIdStr, message: 'User is offline' });
+          callee.state = 'unavailable';
+          await endCall(io, call, 'offline', { notify: false });
+          return;
+        }
+
+        // Ring timeout: if no call-accept, the call ends as missed (missed_call FCM to callee)
+        await startRinging(io, call, [calleeIdStr]);
       } catch (error) {
         console.error('call-invite error:', error);
         socket.emit('call-error', { message: 'Error starting call' });
       }
-    });
+    }));
 
-    // Callee accepts: sends answer. Server forwards to caller.
+    // Callee accepts a 1:1 call: sends answer. Server forwards to the call's caller (the payload's callerId
+    // is not trusted).
     // Payload: { channelId, callerId, answer }
-    socket.on('call-accept', async (data) => {
+    socket.on('call-accept', (data) => queueCallTask(data.channelId, async () => {
       try {
-        const { channelId, callerId, answer } = data || {};
-        if (!channelId || !callerId || !answer) {
-          socket.emit('call-error', { message: 'channelId, callerId and answer are required' });
-          return;
-        }
+        const { channelId, answer } = data;
 
         const channelIdStr = String(channelId);
-        const call = activeCalls.get(channelIdStr);
+        const call = await stateStore.getCall(channelIdStr);
         if (!call) {
           socket.emit('call-error', { message: 'Call not found' });
           return;
         }
 
+        if (call.isGroup) {
+          socket.emit('call-error', { message: 'Join group calls with call-join' });
+          return;
+        }
+
         if (call.calleeId.toString() !== socket.userId.toString()) {
           socket.emit('call-error', { message: 'Only callee can accept this call' });
           return;
         }
 
-        const callerSocketId = activeUsers.get(callerId.toString());
-        if (!callerSocketId) {
+        const callee = getParticipant(call, call.calleeId);
+        if (callee.state !== 'ringing') {
+          socket.emit('call-error', { message: 'Call already answered on another device' });
+          return;
+        }
+
+        if (!(await isOnline(call.callerId))) {
           socket.emit('call-error', { message: 'Caller is offline' });
-          activeCalls.delete(channelIdStr);
+          await endCall(io, call, 'caller-offline');
           return;
         }
 
-        const ringTimeout = callRingTimeouts.get(channelIdStr);
-        if (ringTimeout) {
-          clearTimeout(ringTimeout.timeoutId);
-          callRingTimeouts.delete(channelIdStr);
+        // Claiming the ring is atomic, so only one of the callee's devices (on any instance) can answer
+        if (!(await stopRinging(channelIdStr, call.calleeId))) {
+          socket.emit('call-error', { message: 'Call already answered on another device' });
+          return;
         }
 
         call.acceptedAt = new Date();
-        activeCalls.set(channelIdStr, call);
+        joinCall(callee, socket.id, call.acceptedAt);
+        await saveCall(call);
 
-        io.to(callerSocketId).emit('call-accepted', { channelId, callerId, answer });
+        io.to(participantTarget(getParticipant(call, call.callerId))).emit('call-accepted', { channelId, callerId: call.callerId, answer });
+        // Stop ringing on the callee's other devices
+        socket.to(userRoom(socket.userId)).emit('call-answered-elsewhere', { channelId });
       } catch (error) {
         console.error('call-accept error:', error);
         socket.emit('call-error', { message: 'Error accepting call' });
       }
-    });
+    }));
 
-    // Relay ICE candidate to the other peer.
-    // Payload: { channelId, candidate, fromUserId }
-    socket.on('ice-candidate', (data) => {
-      const { channelId, candidate, fromUserId } = data || {};
-      if (!channelId || !candidate || !fromUserId) return;
+    // Join a group call: invitees (also after rejecting or missing it, while it lasts) and, for calls to a
+    // group chat, any member. The joiner gets call-joined with everyone in the call and sends a call-offer
+    // to each joined participant; those get call-participant-joined and answer with call-answer.
+    // Payload: { channelId }
+    socket.on('call-join', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId } = data;
+        const channelIdStr = String(channelId);
+        const myUserIdStr = socket.userId.toString();
 
-      const call = activeCalls.get(String(channelId));
-      if (!call) return;
+        const call = await stateStore.getCall(channelIdStr);
+        if (!call || !call.isGroup) {
+          socket.emit('call-error', { message: 'Call not found' });
+          return;
+        }
 
-      const otherUserId =
-        call.callerId.toString() === fromUserId.toString() ? call.calleeId : call.callerId;
-      const otherSocketId = activeUsers.get(otherUserId.toString());
-      if (otherSocketId) {
-        io.to(otherSocketId).emit('ice-candidate', { channelId, candidate, fromUserId });
-      }
-    });
+        let participant = getParticipant(call, myUserIdStr);
+        if (participant?.state === 'joined') {
+          const message = participant.socketId === socket.id ? 'Already in this call' : 'Call already answered on another device';
+          socket.emit('call-error', { message });
+          return;
+        }
 
-    // Callee rejects (client → server). Cancel ring timer, mark channel ended, then notify caller.
-    // After this, no more call-invite or FCM must be sent for this channelId.
-    socket.on('call-reject', async (data) => {
-      const { channelId, callerId } = data || {};
-      if (!channelId || !callerId) return;
+        if (!participant) {
+          const chat = call.chatId ? await Chat.findById(call.chatId).select('participants').lean() : null;
+          if (!chat || !isParticipant(chat, myUserIdStr)) {
+            socket.emit('call-error', { message: 'You are not invited to this call' });
+            return;
+          }
+        }
 
-      const channelIdStr = String(channelId);
-      const callerIdStr = String(callerId).trim();
-
-      // 1. Cancel 3-minute ring timer so no missed-call FCM is sent
-      const ringTimeout = callRingTimeouts.get(channelIdStr);
-      if (ringTimeout) {
-        clearTimeout(ringTimeout.timeoutId);
-        callRingTimeouts.delete(channelIdStr);
-      }
-
-      const call = activeCalls.get(channelIdStr);
-      if (call) {
-        const startedAt = call.inviteSentAt ? new Date(call.inviteSentAt) : new Date();
-        const endedAt = new Date();
-        try {
-          await CallHistory.create({
-            callerId: call.callerId,
-            calleeId: call.calleeId,
-            channelId: channelIdStr,
-            callType: call.callType || 'audio',
-            status: 'rejected',
-            startedAt,
-            endedAt,
-            durationSeconds: 0,
-          });
-        } catch (e) {
-          console.error('CallHistory create (rejected):', e.message);
+        // Joining late takes a free place
+        if (!isActive(participant)) {
+          if (participantsIn(call, ACTIVE_STATES).length >= MAX_CALL_PARTICIPANTS) {
+            socket.emit('call-error', { message: 'Call is full' });
+            return;
+          }
+          if (await stateStore.findCallByUser(myUserIdStr)) {
+            socket.emit('call-error', { message: 'You are already in a call' });
+            return;
+          }
         }
-      }
 
-      // 2. Mark call ended for this channelId so we never send another invite or FCM for it
-      endedOrRejectedChannels.add(channelIdStr);
-      callInviteSentForChannel.delete(channelIdStr);
-      activeCalls.delete(channelIdStr);
+        if (!participant) {
+          participant = createParticipant(myUserIdStr, 'ringing');
+          call.participants.push(participant);
+        } else if (participant.state === 'ringing') {
+          await stopRinging(channelIdStr, myUserIdStr);
+        }
 
-      // 3. Notify both sides so both UIs end at the same time
-      const callerSocketId = activeUsers.get(callerIdStr);
-      if (callerSocketId) {
-        io.to(callerSocketId).emit('call-rejected', { channelId });
+        joinCall(participant, socket.id);
+        if (!call.acceptedAt && participantsIn(call, ['joined']).length >= 2) {
+          call.acceptedAt = participant.lastJoinedAt;
+        }
+        await saveCall(call);
+
+        socket.emit('call-joined', formatCall(call));
+        // Stop ringing on this user's other devices
+        socket.to(userRoom(myUserIdStr)).emit('call-answered-elsewhere', { channelId });
+        emitToTargets(io, joinedTargets(call, myUserIdStr), 'call-participant-joined', {
+          channelId,
+          participant: formatParticipant(participant),
+        });
+      } catch (error) {
+        console.error('call-join error:', error);
+        socket.emit('call-error', { message: 'Error joining call' });
       }
-      // Callee (this socket) also gets call-ended so both users end the call together
-      socket.emit('call-ended', { channelId });
-    });
+    }));
 
-    // Either party ends call. Notify both sides so both UIs end at the same time.
-    socket.on('call-end', async (data) => {
-      const { channelId } = data || {};
-      if (!channelId) return;
+    // Invite more users into a call you are in. A 1:1 call becomes a group call (once answered).
+    // Payload: { channelId, userIds }
+    socket.on('call-add', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId, userIds } = data;
+        const channelIdStr = String(channelId);
+        const myUserIdStr = socket.userId.toString();
 
-      const channelIdStr = String(channelId);
-      const call = activeCalls.get(channelIdStr);
-      if (!call) return;
+        const call = await stateStore.getCall(channelIdStr);
+        if (!call || getParticipant(call, myUserIdStr)?.state !== 'joined') {
+          socket.emit('call-error', { message: 'Call not found' });
+          return;
+        }
+        if (!call.isGroup && !call.acceptedAt) {
+          socket.emit('call-error', { message: 'Wait for the call to be answered' });
+          return;
+        }
 
-      const otherUserId =
-        call.callerId.toString() === socket.userId.toString() ? call.calleeId : call.callerId;
-      const otherSocketId = activeUsers.get(otherUserId.toString());
+        const candidates = [...new Set(userIds.map(String))].filter((id) => !isActive(getParticipant(call, id)));
+        if (candidates.length === 0) return;
+        if (participantsIn(call, ACTIVE_STATES).length + candidates.length > MAX_CALL_PARTICIPANTS) {
+          socket.emit('call-error', { message: `Calls are limited to ${MAX_CALL_PARTICIPANTS} participants` });
+          return;
+        }
 
-      // Notify other peer
-      if (otherSocketId) {
-        io.to(otherSocketId).emit('call-ended', { channelId });
+        const { invitees, unreachable } = await sortInvitees(channelId, candidates, !call.chatId);
+        if (invitees.length === 0 && unreachable.length === 0) return;
+
+        const now = new Date();
+        call.isGroup = true;
+        delete call.offer;
+        const invited = [...invitees.map((userId) => ({ userId, state: 'ringing' })), ...unreachable];
+        for (const { userId, state } of invited) {
+          const participant = getParticipant(call, userId);
+          if (participant) {
+            participant.state = state;
+            participant.invitedAt = now;
+          } else {
+            call.participants.push(createParticipant(userId, state, now));
+          }
+        }
+        await saveCall(call);
+        if (invitees.length === 0) return;
+
+        for (const userId of invitees) {
+          emitToTargets(io, joinedTargets(call), 'call-participant-invited', {
+            channelId,
+            userId,
+            invitedBy: myUserIdStr,
+            isGroup: true,
+          });
+        }
+        await ringGroupInvitees(call, invitees);
+      } catch (error) {
+        console.error('call-add error:', error);
+        socket.emit('call-error', { message: 'Error adding to call' });
       }
-      // Notify sender too so both users end the call together
-      socket.emit('call-ended', { channelId });
+    }));
+
+    // Relay a signaling message from this user to one participant of the call (toUserId; in a 1:1 call
+    // it may be left out for the other party). Both must be in the call (the recipient in one of toStates);
+    // the sender must have joined. Returns the call, or null if nothing was relayed.
+    const relayCallSignal = async (event, { channelId, toUserId }, payload, toStates = ACTIVE_STATES) => {
+      const call = await stateStore.getCall(String(channelId));
+      const from = call && getParticipant(call, socket.userId);
+      if (!from || from.state !== 'joined') return null;
+
+      const to = toUserId
+        ? getParticipant(call, toUserId)
+        : !call.isGroup && call.participants.find((p) => p.userId !== from.userId);
+      if (!to || !toStates.includes(to.state) || to.userId === from.userId) return null;
+
+      io.to(participantTarget(to)).emit(event, { channelId, fromUserId: from.userId, ...payload });
+      return call;
+    };
+
+    // Mesh offer / answer between two participants of a group call.
+    // Payload: { channelId, toUserId, offer } -> toUserId gets call-offer { channelId, fromUserId, offer }
+    socket.on('call-offer', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        if (!(await relayCallSignal('call-offer', data, { offer: data.offer }))) {
+          socket.emit('call-error', { message: 'Participant is not in this call' });
+        }
+      } catch (error) {
+        console.error('call-offer error:', error);
+      }
+    }));
 
-      const endedAt = new Date();
-      const startedAt = call.acceptedAt ? new Date(call.acceptedAt) : (call.inviteSentAt ? new Date(call.inviteSentAt) : endedAt);
-      const durationSeconds = call.acceptedAt ? Math.round((endedAt - new Date(call.acceptedAt)) / 1000) : 0;
+    // Payload: { channelId, toUserId, answer } -> toUserId gets call-answer { channelId, fromUserId, answer }
+    socket.on('call-answer', (data) => queueCallTask(data.channelId, async () => {
       try {
-        await CallHistory.create({
-          callerId: call.callerId,
-          calleeId: call.calleeId,
-          channelId: channelIdStr,
-          callType: call.callType || 'audio',
-          status: 'answered',
-          startedAt,
-          endedAt,
-          durationSeconds,
-        });
-      } catch (e) {
-        console.error('CallHistory create (answered):', e.message);
+        if (!(await relayCallSignal('call-answer', data, { answer: data.answer }))) {
+          socket.emit('call-error', { message: 'Participant is not in this call' });
+        }
+      } catch (error) {
+        console.error('call-answer error:', error);
       }
+    }));
 
-      const ringTimeout = callRingTimeouts.get(channelIdStr);
-      if (ringTimeout) {
-        clearTimeout(ringTimeout.timeoutId);
-        callRingTimeouts.delete(channelIdStr);
+    // Relay ICE candidate to one participant. The sender is always the authenticated user.
+    // Payload: { channelId, toUserId?, candidate }
+    socket.on('ice-candidate', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        await relayCallSignal('ice-candidate', data, { candidate: data.candidate });
+      } catch (error) {
+        console.error('ice-candidate error:', error);
       }
-      endedOrRejectedChannels.add(channelIdStr);
-      callInviteSentForChannel.delete(channelIdStr);
-      activeCalls.delete(channelIdStr);
-    });
+    }));
+
+    // Renegotiate a connected call (1:1 or group): a new offer / answer between two joined participants,
+    // e.g. to turn video on in an audio call or add a screen-share track. An offer with callType 'video'
+    // records that the call used video.
+    // Payload: { channelId, toUserId?, offer | answer, callType? } -> toUserId gets
+    //   call-renegotiate { channelId, fromUserId, offer | answer, callType? }
+    socket.on('call-renegotiate', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId, offer, answer, callType } = data;
+        if (offer && answer) {
+          socket.emit('call-error', { message: 'Send either an offer or an answer' });
+          return;
+        }
 
-    // Callee can request the offer by channelId (e.g. when opening from FCM before socket got call-invite)
-    socket.on('call-request-offer', (data) => {
-      const { channelId } = data || {};
-      if (!channelId) return;
-      const channelIdStr = String(channelId);
-      const call = activeCalls.get(channelIdStr);
-      if (!call || !call.offer) return;
-      if (call.calleeId.toString() !== socket.userId.toString()) return;
-      socket.emit('call-offer', { channelId, offer: call.offer });
-    });
+        const current = await stateStore.getCall(String(channelId));
+        if (!current?.acceptedAt) {
+          socket.emit('call-error', { message: 'Call is not connected' });
+          return;
+        }
 
-    // Handle token refresh for socket connection
-    socket.on('refresh-token', async (data) => {
+        const payload = offer ? { offer, callType } : { answer };
+        const call = await relayCallSignal('call-renegotiate', data, payload, ['joined']);
+        if (!call) {
+          socket.emit('call-error', { message: 'Participant is not in this call' });
+          return;
+        }
+
+        if (offer && callType === 'video' && !call.videoUsed) {
+          call.videoUsed = true;
+          await saveCall(call);
+        }
+      } catch (error) {
+        console.error('call-renegotiate error:', error);
+        socket.emit('call-error', { message: 'Error renegotiating call' });
+      }
+    }));
+
+    // Your mute / camera / hold / screen-share state, for the other participants' UI (1:1 and group calls).
+    // Payload: { channelId, audioMuted?, videoMuted?, onHold?, screenSharing? } -> call-participant-media-state
+    //   { channelId, userId, audioMuted, videoMuted, onHold, screenSharing }
+    socket.on('call-media-state', (data) => queueCallTask(data.channelId, async () => {
       try {
-        const refreshToken = data.refreshToken || socketRefreshTokens.get(socket.id);
+        const { channelId } = data;
+        const call = await stateStore.getCall(String(channelId));
+        const participant = call && getParticipant(call, socket.userId);
+        if (!participant || participant.state !== 'joined') return;
 
-        if (!refreshToken) {
-          socket.emit('token-refresh-error', { message: 'No refresh token available' });
-          return;
+        for (const field of MEDIA_STATE_FIELDS) {
+          if (data[field] !== undefined) participant[field] = data[field];
         }
+        await saveCall(call);
 
-        const decoded = verifyRefreshToken(refreshToken);
+        emitToTargets(io, joinedTargets(call, participant.userId), 'call-participant-media-state', {
+          channelId,
+          userId: participant.userId,
+          ...mediaState(participant),
+        });
+      } catch (error) {
+        console.error('call-media-state error:', error);
+      }
+    }));
 
-        if (!decoded) {
-          socket.emit('token-refresh-error', { message: 'Invalid or expired refresh token' });
-          socket.disconnect();
+    // Callee rejects (client → server). The ring stops, the channel is closed (no more call-invite or FCM
+    // for this channelId) and the call is recorded as rejected; both sides are told.
+    // In a group call only this invitee stops ringing; the others get call-participant-left.
+    socket.on('call-reject', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId } = data;
+
+        const channelIdStr = String(channelId);
+
+        const call = await stateStore.getCall(channelIdStr);
+        // Only a ringing invitee can reject (not a device whose call was already answered elsewhere)
+        if (call && getParticipant(call, socket.userId)?.state !== 'ringing') return;
+        if (call?.isGroup) {
+          await leaveGroupCall(io, call, socket.userId, 'declined');
           return;
         }
 
-        const user = await User.findById(decoded.userId);
+        if (call) {
+          await endCall(io, call, 'declined', { endedBy: socket.userId, notify: false });
+          // Notify both sides so both UIs end at the same time
+          io.to(userRoom(call.callerId)).emit('call-rejected', { channelId });
+        } else {
+          // Rejected before the invite arrived: never send it
+          await stateStore.markChannelEnded(channelIdStr);
+        }
 
-        if (!user || user.refreshToken !== refreshToken) {
-          socket.emit('token-refresh-error', { message: 'Invalid refresh token' });
-          socket.disconnect();
-          return;
+        // Callee (this socket and their other ringing devices) also gets call-ended so both users end the call together
+        io.to(userRoom(socket.userId)).emit('call-ended', { channelId, status: 'rejected', reason: 'declined' });
+      } catch (error) {
+        console.error('call-reject error:', error);
+      }
+    }));
+
+    // Either party ends a 1:1 call; both sides get call-ended at the same time. Before it is answered this
+    // cancels it (caller) or declines it (callee).
+    // In a group call this leaves the call (a ringing invitee declines); it ends once nobody is left to talk to.
+    socket.on('call-end', (data) => queueCallTask(data.channelId, async () => {
+      try {
+        const { channelId } = data;
+
+        const call = await stateStore.getCall(String(channelId));
+        if (!call || !isActive(getParticipant(call, socket.userId))) return;
+
+        if (call.isGroup) {
+          await leaveGroupCall(io, call, socket.userId, 'hangup');
+        } else {
+          await endCall(io, call, 'hangup', { endedBy: socket.userId });
         }
+      } catch (error) {
+        console.error('call-end error:', error);
+      }
+    }));
 
-        // Generate new access token
-        const newAccessToken = generateAccessToken(user._id);
+    // Callee can request the offer by channelId (e.g. when opening from FCM before socket got call-invite).
+    // 1:1 calls only: group invitees open the call with call-join.
+    socket.on('call-request-offer', async (data) => {
+      try {
+        const { channelId } = data;
+        const channelIdStr = String(channelId);
+        const call = await stateStore.getCall(channelIdStr);
+        if (!call || !call.offer) return;
+        if (call.calleeId.toString() !== socket.userId.toString()) return;
+        socket.emit('call-offer', { channelId, fromUserId: call.callerId, offer: call.offer });
+      } catch (error) {
+        console.error('call-request-offer error:', error);
+      }
+    });
+
+    // Rotate this device's refresh token and send the new pair in token-refreshed.
+    // A token sent by the client must be current for this socket's session (a rotated-out one revokes it).
+    // Pre-session sockets are moved into a new session first.
+    // Returns false when the socket can no longer refresh.
+    const refreshSocketTokens = async (presentedToken) => {
+      if (!socket.sessionId) {
+        const legacyToken = presentedToken || socketRefreshTokens.get(socket.id);
+        const resolved = legacyToken ? await resolveRefreshToken(io, legacyToken) : null;
+        if (!resolved || resolved.session || resolved.user._id.toString() !== socket.userId.toString()) {
+          return false;
+        }
 
+        const upgraded = await upgradeLegacyLogin(io, resolved.user, {});
+        if (!upgraded) return false;
+        socket.sessionId = upgraded.session._id.toString();
+        socket.join(sessionRoom(socket.sessionId));
+        socketRefreshTokens.set(socket.id, upgraded.refreshToken);
         socket.emit('token-refreshed', {
-          accessToken: newAccessToken,
+          accessToken: upgraded.accessToken,
+          refreshToken: upgraded.refreshToken,
+          session: formatSession(upgraded.session, upgraded.session._id),
         });
+        return true;
+      }
+
+      if (presentedToken) {
+        const resolved = await resolveRefreshToken(io, presentedToken);
+        if (!resolved || resolved.session?._id.toString() !== socket.sessionId.toString()) {
+          return false;
+        }
+      }
+
+      const tokens = await rotateSession(socket.sessionId);
+      if (!tokens) return false;
+
+      if (socketRefreshTokens.has(socket.id)) {
+        socketRefreshTokens.set(socket.id, tokens.refreshToken);
+      }
+      socket.emit('token-refreshed', tokens);
+      return true;
+    };
+
+    // Handle token refresh for socket connection. Payload: { refreshToken? }
+    socket.on('refresh-token', async (data) => {
+      try {
+        if (!(await refreshSocketTokens(data?.refreshToken))) {
+          socket.emit('token-refresh-error', { message: 'Invalid or expired refresh token' });
+          socket.disconnect();
+        }
       } catch (error) {
         console.error('Error refreshing token:', error);
         socket.emit('token-refresh-error', { message: 'Error refreshing token' });
       }
     });
 
-    // Periodic token refresh (every 14 minutes to refresh before 15 min expiry)
+    // Periodic token refresh (every 14 minutes to refresh before 15 min expiry),
+    // for sockets that connected with a refresh token
     const tokenRefreshInterval = setInterval(async () => {
       try {
-        const refreshToken = socketRefreshTokens.get(socket.id);
-
-        if (!refreshToken) {
-          return;
-        }
-
-        const decoded = verifyRefreshToken(refreshToken);
-
-        if (!decoded) {
-          socket.emit('token-refresh-error', { message: 'Refresh token expired' });
-          socket.disconnect();
+        if (!socketRefreshTokens.has(socket.id)) {
           return;
         }
 
-        const user = await User.findById(decoded.userId);
-
-        if (!user || user.refreshToken !== refreshToken) {
-          socket.emit('token-refresh-error', { message: 'Invalid refresh token' });
+        if (!(await refreshSocketTokens())) {
+          socket.emit('token-refresh-error', { message: 'Refresh token expired or revoked' });
           socket.disconnect();
-          return;
         }
-
-        // Generate new access token
-        const newAccessToken = generateAccessToken(user._id);
-
-        socket.emit('token-refreshed', {
-          accessToken: newAccessToken,
-        });
       } catch (error) {
         console.error('Error in periodic token refresh:', error);
       }
@@ -514,11 +940,6 @@ const initializeSocket = (io) => {
       try {
         const { chatId } = data;
 
-        if (!chatId) {
-          socket.emit('error', { message: 'Chat ID is required' });
-          return;
-        }
-
         // Verify user is a participant in this chat
         const chat = await Chat.findById(chatId);
 
@@ -541,23 +962,133 @@ const initializeSocket = (io) => {
       }
     });
 
+    // Resolve an uploaded attachment (POST /api/media/upload) and the quoted message (replyTo)
+    // into message content. Emits the error and returns null if either can't be used.
+    const resolveMessageContent = async (chatId, { message, messageType, attachmentId, replyTo }) => {
+      let replySnapshot = null;
+      if (replyTo) {
+        const reply = await buildReplySnapshot(replyTo, chatId, socket.userId);
+        if (reply.error) {
+          socket.emit('error', { message: reply.error });
+          return null;
+        }
+        replySnapshot = reply.replyTo;
+      }
+
+      if (!attachmentId) {
+        return { message, messageType, attachment: null, replyTo: replySnapshot };
+      }
+
+      const { attachment, error } = await loadAttachmentForMessage(attachmentId, socket.userId, chatId);
+      if (error) {
+        socket.emit('error', { message: error });
+        return null;
+      }
+
+      return {
+        message: message || attachment.name, // caption, or file name for previews and push
+        messageType: messageType === 'text' ? messageTypeFor(attachment) : messageType,
+        attachment,
+        replyTo: replySnapshot,
+      };
+    };
+
+    // Group message: no single receiver; fan out to every other member's user room and FCM
+    const sendGroupMessage = async (chat, payload) => {
+      if (!isParticipant(chat, socket.userId)) {
+        socket.emit('error', { message: 'Access denied' });
+        return;
+      }
+
+      const content = await resolveMessageContent(chat._id, payload);
+      if (!content) return;
+
+      const otherMemberIds = chat.participants.filter((p) => idOf(p) !== socket.userId.toString());
+
+      const newMessage = await Message.create({
+        chatId: chat._id,
+        senderId: socket.userId,
+        receiverId: null,
+        message: content.message,
+        messageType: content.messageType,
+        attachment: content.attachment ? toMessageAttachment(content.attachment) : null,
+        replyTo: content.replyTo,
+        recipientCount: otherMemberIds.length,
+        isRead: false,
+      });
+
+      if (content.attachment) {
+        await bindAttachment(content.attachment, newMessage);
+      }
+
+      await newMessage.populate('senderId', PARTICIPANT_FIELDS);
+
+      chat.lastMessage = newMessage._id;
+      chat.lastMessageAt = newMessage.createdAt;
+      await chat.save();
+
+      // Delivered per member once their socket acknowledges new-message
+      emitNewMessage(io, otherMemberIds, {
+        chatId: chat._id,
+        message: newMessage,
+      });
+
+      const unread = await incrementUnread(io, chat._id, otherMemberIds);
+      await notifyGroupMembers(chat, socket.user, newMessage, unread);
+
+      await chat.populate('participants', PARTICIPANT_FIELDS);
+
+      // All of the sender's devices, so their other devices show the message too
+      io.to(userRoom(socket.userId)).emit('message-sent', {
+        chatId: chat._id,
+        message: newMessage,
+        chatCreated: false,
+        chatListItem: {
+          chatId: chat._id,
+          isGroup: true,
+          otherUser: null,
+          group: formatGroupInfo(chat),
+          lastMessage: newMessage,
+          lastMessageAt: chat.lastMessageAt,
+          unreadCount: unreadCountFor(chat, socket.userId),
+        },
+      });
+
+      io.to(`chat:${chat._id}`).emit('message-received', {
+        chatId: chat._id,
+        message: newMessage,
+      });
+    };
+
     // Handle sending message
+    // Direct chats: { chatId?, receiverId, message, messageType, attachmentId?, replyTo? }
+    // Group chats: { chatId, message, messageType, attachmentId?, replyTo? }
     socket.on('send-message', async (data) => {
       try {
-        const { chatId, receiverId, message, messageType = 'text' } = data;
+        const { chatId, receiverId, message, messageType, attachmentId, replyTo } = data;
 
-        // Validate required fields
-        if (!receiverId || !message) {
-          socket.emit('error', {
-            message: 'Receiver ID and message are required',
-          });
+        // Empty text only goes with an attachment (as its caption)
+        if (!message && !attachmentId) {
+          socket.emit('error', { message: 'Receiver ID and message are required' });
           return;
         }
 
-        // Validate receiver exists
+        if (!receiverId) {
+          const groupChat = await Chat.findById(chatId);
+          if (!groupChat || !groupChat.isGroup) {
+            socket.emit('error', {
+              message: 'Receiver ID and message are required',
+            });
+            return;
+          }
+          await sendGroupMessage(groupChat, { message, messageType, attachmentId, replyTo });
+          return;
+        }
+
+        // Validate receiver exists (same error as a block, so neither gives the other away)
         const receiver = await User.findById(receiverId);
-        if (!receiver) {
-          socket.emit('error', { message: 'Receiver not found' });
+        if (!receiver || !receiver.isActive) {
+          socket.emit('error', { message: NEUTRAL_SEND_ERROR });
           return;
         }
 
@@ -567,6 +1098,13 @@ const initializeSocket = (io) => {
           return;
         }
 
+        // Blocked either way; a blocked sender gets the same error as a missing receiver
+        if (await isBlockedBetween(socket.userId, receiverId)) {
+          const blockedByMe = await hasBlocked(socket.userId, receiverId);
+          socket.emit('error', { message: blockedByMe ? 'Unblock this user to send messages' : NEUTRAL_SEND_ERROR });
+          return;
+        }
+
         let chat;
 
         // If chatId is provided, verify it exists and user is a participant
@@ -583,14 +1121,20 @@ const initializeSocket = (io) => {
             return;
           }
 
+          if (chat.isGroup) {
+            await sendGroupMessage(chat, { message, messageType, attachmentId, replyTo });
+            return;
+          }
+
           // Verify receiver is a participant
           if (!chat.participants.includes(receiverId)) {
-            socket.emit('error', { message: 'Receiver is not a participant' });
+            socket.emit('error', { message: NEUTRAL_SEND_ERROR });
             return;
           }
         } else {
           // No chatId provided - find or create chat
           chat = await Chat.findOne({
+            isGroup: { $ne: true },
             participants: { $all: [socket.userId, receiverId] },
           });
 
@@ -611,16 +1155,25 @@ const initializeSocket = (io) => {
         const effectiveChatId = chat._id;
         const isNewChat = !chatId;
 
+        const content = await resolveMessageContent(effectiveChatId, { message, messageType, attachmentId, replyTo });
+        if (!content) return;
+
         // Create message
         const newMessage = await Message.create({
           chatId: effectiveChatId,
           senderId: socket.userId,
           receiverId,
-          message,
-          messageType,
+          message: content.message,
+          messageType: content.messageType,
+          attachment: content.attachment ? toMessageAttachment(content.attachment) : null,
+          replyTo: content.replyTo,
           isRead: false,
         });
 
+        if (content.attachment) {
+          await bindAttachment(content.attachment, newMessage);
+        }
+
         // Populate sender and receiver info
         await newMessage.populate('senderId', 'mobileNumber name profilePicture');
         await newMessage.populate('receiverId', 'mobileNumber name profilePicture');
@@ -630,36 +1183,28 @@ const initializeSocket = (io) => {
         chat.lastMessageAt = newMessage.createdAt;
         await chat.save();
 
-        // Emit message to receiver (if online)
-        const receiverSocketId = activeUsers.get(receiverId.toString());
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('new-message', {
-            chatId: effectiveChatId,
-            message: newMessage,
-          });
-        }
+        // Emit message to receiver (if online); delivered once their socket acknowledges it
+        emitNewMessage(io, [receiverId], {
+          chatId: effectiveChatId,
+          message: newMessage,
+        });
 
-        // Send push notification (FCM) - when receiver is offline or app in background
-        const receiverUser = await User.findById(receiverId).select('fcmToken').lean();
-        if (receiverUser?.fcmToken) {
-          const senderName = socket.user?.name || socket.user?.mobileNumber || 'Someone';
-          const fcmPayload = {
-            chatId: String(effectiveChatId),
-            senderId: String(socket.userId),
-            senderName: senderName || 'Someone',
-            receiverId: String(receiverId),
-            message: typeof newMessage.message === 'string' ? newMessage.message : String(newMessage.message || ''),
-          };
-          try {
-            const sent = await sendMessageNotification(receiverUser.fcmToken, fcmPayload);
-            if (!sent) {
-              console.warn('FCM: Push notification was not sent (check logs above)');
-            }
-          } catch (err) {
-            console.error('FCM: Push error:', err.message);
-          }
-        } else {
-          console.log('FCM: Receiver has no fcmToken', { receiverId: String(receiverId) });
+        // Receiver's unread counter (pushes unread-updated); their total is the push badge
+        const unread = await incrementUnread(io, effectiveChatId, [receiverId]);
+
+        // Send push notification (FCM) to each of the receiver's devices - when offline or app in background
+        const senderName = socket.user?.name || socket.user?.mobileNumber || 'Someone';
+        const fcmPayload = {
+          chatId: String(effectiveChatId),
+          senderId: String(socket.userId),
+          senderName: senderName || 'Someone',
+          receiverId: String(receiverId),
+          message: typeof newMessage.message === 'string' ? newMessage.message : String(newMessage.message || ''),
+          badge: unread.get(receiverId.toString())?.totalUnread,
+        };
+        const sent = await pushToUser(receiverId, (token) => sendMessageNotification(token, fcmPayload));
+        if (!sent) {
+          console.log('FCM: Push not sent (receiver has no device tokens or see logs above)', { receiverId: String(receiverId) });
         }
 
         const otherUser =
@@ -683,18 +1228,20 @@ const initializeSocket = (io) => {
               }
             : undefined;
 
-        // Emit message to sender (confirmation) - include chat info if new chat was created
-        socket.emit('message-sent', {
+        // Emit message to sender (confirmation) - include chat info if new chat was created.
+        // Goes to all of the sender's devices so their other devices show the message too
+        io.to(userRoom(socket.userId)).emit('message-sent', {
           chatId: effectiveChatId,
           message: newMessage,
           chatCreated: isNewChat,
           otherUser: otherUserNormalized,
           chatListItem: {
             chatId: effectiveChatId,
+            isGroup: false,
             otherUser: otherUserNormalized,
             lastMessage: newMessage,
             lastMessageAt: chat.lastMessageAt,
-            unreadCount: 0,
+            unreadCount: unreadCountFor(chat, socket.userId),
           },
           chat: isNewChat
             ? {
@@ -716,16 +1263,33 @@ const initializeSocket = (io) => {
       }
     });
 
-    // Handle message read status
-    socket.on('mark-read', async (data) => {
+    // Delivery receipt fallback for clients that don't use the new-message ack callback.
+    // Payload: { chatId, messageIds? } (omit messageIds to cover every pending message in the chat)
+    socket.on('mark-delivered', async (data) => {
       try {
-        const { chatId, messageId } = data;
+        const { chatId, messageIds } = data;
 
-        if (!chatId || !messageId) {
-          socket.emit('error', { message: 'Chat ID and message ID are required' });
+        const chat = await Chat.findById(chatId);
+        if (!chat || !chat.participants.includes(socket.userId)) {
+          socket.emit('error', { message: 'Access denied' });
           return;
         }
 
+        await markDelivered(io, socket.userId, chat._id, messageIds);
+      } catch (error) {
+        console.error('Error marking messages as delivered:', error);
+        socket.emit('error', { message: 'Error marking messages as delivered' });
+      }
+    });
+
+    // Handle message read status: marks every message up to and including the given one as read.
+    // Payload: { chatId, upToMessageId } (messageId is accepted for older clients)
+    // Senders receive message-read { chatId, messageIds, userId, readAt }
+    socket.on('mark-read', async (data) => {
+      try {
+        const { chatId, upToMessageId, messageId } = data;
+        const anchorId = upToMessageId || messageId;
+
         // Verify user is a participant
         const chat = await Chat.findById(chatId);
         if (!chat || !chat.participants.includes(socket.userId)) {
@@ -733,41 +1297,63 @@ const initializeSocket = (io) => {
           return;
         }
 
-        // Update message read status
-        const message = await Message.findOne({
-          _id: messageId,
-          chatId,
-          receiverId: socket.userId,
-        });
+        await markReadUpTo(io, socket.userId, chat._id, anchorId);
+      } catch (error) {
+        console.error('Error marking message as read:', error);
+        socket.emit('error', { message: 'Error marking message as read' });
+      }
+    });
 
-        if (message && !message.isRead) {
-          message.isRead = true;
-          await message.save();
+    // Edit message text (sender only). Payload: { chatId, messageId, message }
+    // Participants receive message-edited { chatId, messageId, message, editedAt }
+    socket.on('edit-message', async (data) => {
+      try {
+        const { chatId, messageId, message } = data;
+        const result = await editMessage(io, socket.userId, { chatId, messageId, message });
+        if (result.error) {
+          socket.emit('error', { message: result.error });
+        }
+      } catch (error) {
+        console.error('Error editing message:', error);
+        socket.emit('error', { message: 'Error editing message' });
+      }
+    });
 
-          // Notify sender that message was read
-          const senderSocketId = activeUsers.get(message.senderId.toString());
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('message-read', {
-              chatId,
-              messageId,
-            });
-          }
+    // Delete message. Payload: { chatId, messageId, scope: 'me' | 'everyone' }
+    // Receivers get message-deleted { chatId, messageId, forEveryone }
+    socket.on('delete-message', async (data) => {
+      try {
+        const { chatId, messageId, scope } = data;
+        const action = scope === 'everyone' ? deleteMessageForEveryone : deleteMessageForMe;
+        const result = await action(io, socket.userId, { chatId, messageId });
+        if (result.error) {
+          socket.emit('error', { message: result.error });
         }
       } catch (error) {
-        console.error('Error marking message as read:', error);
-        socket.emit('error', { message: 'Error marking message as read' });
+        console.error('Error deleting message:', error);
+        socket.emit('error', { message: 'Error deleting message' });
+      }
+    });
+
+    // React to a message. Payload: { chatId, messageId, emoji } (emoji null/'' removes the reaction)
+    // Chat room and participants receive message-reaction { chatId, messageId, userId, emoji, reactions }
+    socket.on('react-message', async (data) => {
+      try {
+        const { chatId, messageId, emoji } = data;
+        const result = await reactToMessage(io, socket.user, { chatId, messageId, emoji });
+        if (result.error) {
+          socket.emit('error', { message: result.error });
+        }
+      } catch (error) {
+        console.error('Error reacting to message:', error);
+        socket.emit('error', { message: 'Error reacting to message' });
       }
     });
 
     // Handle get messages via socket
     socket.on('get-messages', async (data) => {
       try {
-        const { chatId, page = 1, limit = 50 } = data;
-
-        if (!chatId) {
-          socket.emit('error', { message: 'Chat ID is required' });
-          return;
-        }
+        const { chatId, before, after, around, limit } = data;
 
         // Verify user is a participant
         const chat = await Chat.findById(chatId);
@@ -781,31 +1367,22 @@ const initializeSocket = (io) => {
           return;
         }
 
-        // Get pagination parameters
-        const skip = (page - 1) * limit;
+        // Fetching history after coming online counts as delivery
+        await markDelivered(io, socket.userId, chat._id);
 
-        // Fetch messages
-        const messages = await Message.find({ chatId })
-          .populate('senderId', 'mobileNumber name profilePicture')
-          .populate('receiverId', 'mobileNumber name profilePicture')
-          .sort({ createdAt: -1 })
-          .limit(limit)
-          .skip(skip)
-          .lean();
+        // Cursor pagination: before | after | around (message id), limit
+        const result = await fetchMessagePage(chat._id, socket.userId, { before, after, around, limit });
 
-        // Get total count
-        const totalMessages = await Message.countDocuments({ chatId });
+        if (result.error) {
+          socket.emit('error', { message: result.error });
+          return;
+        }
 
-        // Send messages to client
+        // Send messages to client (oldest first)
         socket.emit('messages-received', {
           chatId,
-          messages: messages.reverse(), // Reverse to show oldest first
-          pagination: {
-            page,
-            limit,
-            total: totalMessages,
-            pages: Math.ceil(totalMessages / limit),
-          },
+          messages: result.messages,
+          pagination: result.pagination,
         });
       } catch (error) {
         console.error('Error fetching messages:', error);
@@ -813,71 +1390,135 @@ const initializeSocket = (io) => {
       }
     });
 
-    // Handle typing indicator
-    socket.on('typing', (data) => {
-      const { chatId, receiverId } = data;
-      const receiverSocketId = activeUsers.get(receiverId?.toString());
+    // Receive presence-changed { userId, online, lastSeenAt } for these users (only users you share a chat with).
+    // Payload: { userIds }. Replies with presence-state { presence: [{ userId, online, lastSeenAt }] }
+    socket.on('presence-subscribe', async (data) => {
+      try {
+        const { userIds } = data;
+        const presence = await subscribePresence(socket, userIds);
+        socket.emit('presence-state', { presence });
+      } catch (error) {
+        console.error('Error subscribing to presence:', error);
+        socket.emit('error', { message: 'Error subscribing to presence' });
+      }
+    });
+
+    // Payload: { userIds }
+    socket.on('presence-unsubscribe', (data) => {
+      unsubscribePresence(socket, data.userIds);
+    });
 
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('user-typing', {
+    // Group typing: relay to the chat room, only if this socket joined it and the user is still a member
+    const emitGroupTyping = async (chatId, isTyping) => {
+      try {
+        const room = `chat:${chatId}`;
+        if (!socket.rooms.has(room)) return;
+        if (!(await Chat.exists({ _id: chatId, isGroup: true, participants: socket.userId }))) {
+          socket.leave(room);
+          return;
+        }
+        socket.to(room).emit('user-typing', {
           chatId,
           userId: socket.userId,
-          isTyping: true,
+          isTyping,
         });
+      } catch (error) {
+        console.error('Error sending typing indicator:', error);
       }
-    });
+    };
 
-    socket.on('stop-typing', (data) => {
-      const { chatId, receiverId } = data;
-      const receiverSocketId = activeUsers.get(receiverId?.toString());
-
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('user-typing', {
+    // Direct typing: only to someone this user has a direct chat with (that chat, if chatId is given);
+    // dropped silently when either user blocked the other
+    const emitDirectTyping = async (chatId, receiverId, isTyping) => {
+      try {
+        const chatFilter = { isGroup: { $ne: true }, participants: { $all: [socket.userId, receiverId] } };
+        if (chatId) chatFilter._id = chatId;
+        if (!(await Chat.exists(chatFilter))) return;
+        if (await isBlockedBetween(socket.userId, receiverId)) return;
+        io.to(userRoom(receiverId)).emit('user-typing', {
           chatId,
           userId: socket.userId,
-          isTyping: false,
+          isTyping,
         });
+      } catch (error) {
+        console.error('Error sending typing indicator:', error);
+      }
+    };
+
+    // Handle typing indicator (group chats send chatId only)
+    socket.on('typing', (data) => {
+      const { chatId, receiverId } = data;
+      if (!receiverId && chatId) {
+        emitGroupTyping(chatId, true);
+        return;
+      }
+      if (receiverId) {
+        emitDirectTyping(chatId, receiverId, true);
+      }
+    });
+
+    socket.on('stop-typing', (data) => {
+      const { chatId, receiverId } = data;
+      if (!receiverId && chatId) {
+        emitGroupTyping(chatId, false);
+        return;
+      }
+      if (receiverId) {
+        emitDirectTyping(chatId, receiverId, false);
       }
     });
 
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log(`User disconnected: ${socket.userId}`);
-      activeUsers.delete(socket.userId.toString());
       socketRefreshTokens.delete(socket.id);
 
-      // End any active calls for this user (notify other peer with call-ended)
-      for (const [channelId, call] of activeCalls) {
-        if (
-          call.callerId.toString() === socket.userId.toString() ||
-          call.calleeId.toString() === socket.userId.toString()
-        ) {
-          const otherUserId =
-            call.callerId.toString() === socket.userId.toString() ? call.calleeId : call.callerId;
-          const otherSocketId = activeUsers.get(otherUserId.toString());
-          if (otherSocketId) {
-            io.to(otherSocketId).emit('call-ended', { channelId });
-          }
-          const ringTimeout = callRingTimeouts.get(channelId);
-          if (ringTimeout) {
-            clearTimeout(ringTimeout.timeoutId);
-            callRingTimeouts.delete(channelId);
-          }
-          endedOrRejectedChannels.add(channelId);
-          callInviteSentForChannel.delete(channelId);
-          activeCalls.delete(channelId);
-        }
-      }
-      
       // Clear token refresh interval
       if (socket.tokenRefreshInterval) {
         clearInterval(socket.tokenRefreshInterval);
       }
+
+      if (socket.sessionId) {
+        touchSession(socket.sessionId).catch((err) => console.error('Error updating session:', err.message));
+      }
+
+      try {
+        const socketsLeft = await stateStore.removeUserSocket(socket.userId, socket.id);
+
+        // Last device gone: persist last seen and tell presence subscribers
+        if (socketsLeft === 0) {
+          await markOffline(io, socket.userId);
+        }
+
+        // End the call this device was in (the other peer gets call-ended); a group call is only left.
+        // A call recovered after a restart isn't tied to a device: it ends with the user's last one.
+        // A callee whose devices went away while ringing keeps ringing through the push until the timeout.
+        const userIdStr = socket.userId.toString();
+        const leavesCall = (call) => {
+          const participant = call && getParticipant(call, userIdStr);
+          if (participant?.state !== 'joined') return false;
+          return participant.socketId ? participant.socketId === socket.id : socketsLeft === 0;
+        };
+        const call = await stateStore.findCallByUser(userIdStr);
+        if (leavesCall(call)) {
+          await queueCallTask(call.channelId, async () => {
+            const current = await stateStore.getCall(call.channelId);
+            if (!leavesCall(current)) return;
+            if (current.isGroup) {
+              await leaveGroupCall(io, current, userIdStr, 'disconnected');
+            } else {
+              await endCall(io, current, 'disconnected', { endedBy: userIdStr });
+            }
+          });
+        }
+      } catch (error) {
+        console.error('Error handling disconnect:', error);
+      }
     });
   });
 
   return io;
 };
 
-module.exports = { initializeSocket, activeUsers, activeCalls };
+module.exports = { initializeSocket };
 
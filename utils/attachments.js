@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../config/storage');
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'audio/mpeg',
+  'audio/mp4',
+  'audio/aac',
+  'video/mp4',
+];
+
+const MEDIA_MAX_FILE_SIZE = parseInt(process.env.MEDIA_MAX_FILE_SIZE, 10) || 25 * 1024 * 1024; // 25 MB
+const MEDIA_ALLOWED_MIME_TYPES = process.env.MEDIA_ALLOWED_MIME_TYPES
+  ? process.env.MEDIA_ALLOWED_MIME_TYPES.split(',').map((t) => t.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_MIME_TYPES;
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+// Uploads never sent in a message are deleted (with their files) after this long
+const MEDIA_UNSENT_TTL_SECONDS = parseInt(process.env.MEDIA_UNSENT_TTL_SECONDS, 10) || 24 * 60 * 60; // 1 day
+const UNSENT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Image types sharp can read for dimensions and thumbnails
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const getUrlSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const computeSignature = (attachmentId, variant, expires) =>
+  crypto
+    .createHmac('sha256', getUrlSecret())
+    .update(`${attachmentId}:${variant}:${expires}`)
+    .digest('hex');
+
+/**
+ * Short-lived download URL that works without an Authorization header (e.g. <img src>).
+ * Only handed out to chat participants by GET /api/media/:attachmentId.
+ */
+const signDownloadUrl = (attachmentId, variant = 'original') => {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  const signature = computeSignature(String(attachmentId), variant, expires);
+  return `/api/media/${attachmentId}/download?variant=${variant}&expires=${expires}&signature=${signature}`;
+};
+
+const verifyDownloadSignature = (attachmentId, variant, expires, signature) => {
+  const expiresNum = parseInt(expires, 10);
+  if (!expiresNum || !signature || expiresNum < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = computeSignature(String(attachmentId), variant, expiresNum);
+  const given = String(signature);
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+// Metadata stored on Message.attachment
+const toMessageAttachment = (attachment) => ({
+  attachmentId: attachment._id,
+  name: attachment.name,
+  size: attachment.size,
+  mimeType: attachment.mimeType,
+  width: attachment.width,
+  height: attachment.height,
+  checksum: attachment.checksum,
+  hasThumbnail: Boolean(attachment.thumbnailKey),
+});
+
+/**
+ * Load an uploaded attachment for send-message and check the sender may use it in this chat.
+ * @returns {Promise<{ attachment?: object, error?: string }>}
+ */
+const loadAttachmentForMessage = async (attachmentId, userId, chatId) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    return { error: 'Invalid attachment ID' };
+  }
+
+  const attachment = await Attachment.findById(attachmentId);
+
+  if (!attachment || attachment.uploaderId.toString() !== userId.toString()) {
+    return { error: 'Attachment not found' };
+  }
+
+  if (attachment.messageId) {
+    return { error: 'Attachment already sent' };
+  }
+
+  if (attachment.chatId && chatId && attachment.chatId.toString() !== chatId.toString()) {
+    return { error: 'Attachment belongs to another chat' };
+  }
+
+  return { attachment };
+};
+
+// Bind the attachment to its message so download access follows the chat
+const bindAttachment = async (attachment, message) => {
+  attachment.chatId = message.chatId;
+  attachment.messageId = message._id;
+  await attachment.save();
+};
+
+// image/* attachments become 'image' messages, everything else 'file'
+const messageTypeFor = (attachment) =>
+  attachment.mimeType.startsWith('image/') ? 'image' : 'file';
+
+/**
+ * Delete attachments uploaded more than MEDIA_UNSENT_TTL_SECONDS ago that were never sent, and their files.
+ * @returns {Promise<number>} how many were deleted
+ */
+const removeUnsentAttachments = async (now = Date.now()) => {
+  const cutoff = new Date(now - MEDIA_UNSENT_TTL_SECONDS * 1000);
+  const candidates = await Attachment.find({ messageId: null, createdAt: { $lt: cutoff } }).select('_id').lean();
+  const storage = getStorage();
+  let removed = 0;
+
+  for (const { _id } of candidates) {
+    // Re-checked on delete, so an attachment sent in the meantime is kept
+    const attachment = await Attachment.findOneAndDelete({ _id, messageId: null });
+    if (!attachment) continue;
+
+    const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+    await Promise.all(keys.map((key) => storage.remove(key).catch((err) => {
+      console.error(`Media cleanup: could not remove ${key}:`, err.message);
+    })));
+    removed += 1;
+  }
+  return removed;
+};
+
+// Run removeUnsentAttachments now and then hourly
+const startUnsentAttachmentCleanup = () => {
+  const run = () => removeUnsentAttachments()
+    .then((removed) => {
+      if (removed > 0) console.log(`Media cleanup: removed ${removed} unsent attachment(s)`);
+    })
+    .catch((err) => console.error('Media cleanup:', err.message));
+
+  run();
+  const timer = setInterval(run, UNSENT_CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MEDIA_MAX_FILE_SIZE,
+  MEDIA_ALLOWED_MIME_TYPES,
+  MEDIA_URL_TTL_SECONDS,
+  THUMBNAIL_MIME_TYPES,
+  sha256,
+  signDownloadUrl,
+  verifyDownloadSignature,
+  toMessageAttachment,
+  loadAttachmentForMessage,
+  bindAttachment,
+  messageTypeFor,
+  removeUnsentAttachments,
+  startUnsentAttachmentCleanup,
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PARTICIPANT_FIELDS, userRoom } = require('./groupChat');
+
+/*
+ * Blocking is one-sided (User.blockedUsers) but applies both ways: neither user can message,
+ * call, see typing or presence of the other in direct chats. Errors shown to a blocked user
+ * never mention the block.
+ */
+
+// Direct send error for a blocked sender, and also for a missing or inactive receiver or one outside the chat
+const NEUTRAL_SEND_ERROR = 'Unable to send message to this user';
+
+/**
+ * Whether either user has blocked the other.
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userId, otherUserId) => {
+  if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(otherUserId)) return false;
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+  return Boolean(blocked);
+};
+
+// Whether userId itself blocked otherUserId (they get a plain "you blocked them" error instead)
+const hasBlocked = async (userId, otherUserId) =>
+  Boolean(await User.exists({ _id: userId, blockedUsers: otherUserId }));
+
+/**
+ * Everyone the user blocked or was blocked by.
+ * @returns {Promise<Set<string>>}
+ */
+const getBlockRelations = async (userId) => {
+  const [me, blockers] = await Promise.all([
+    User.findById(userId).select('blockedUsers').lean(),
+    User.find({ blockedUsers: userId }).select('_id').lean(),
+  ]);
+  return new Set([
+    ...(me?.blockedUsers || []).map(String),
+    ...blockers.map((u) => u._id.toString()),
+  ]);
+};
+
+const getBlockedUsers = async (userId) => {
+  const user = await User.findById(userId)
+    .select('blockedUsers')
+    .populate('blockedUsers', PARTICIPANT_FIELDS)
+    .lean();
+  return user?.blockedUsers || [];
+};
+
+/**
+ * Block a user. The blocker's other devices get user-blocked; the blocked user is not told.
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+const blockUser = async (io, userId, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    return { status: 400, error: 'Valid userId is required' };
+  }
+
+  if (targetId.toString() === userId.toString()) {
+    return { status: 400, error: 'Cannot block yourself' };
+  }
+
+  if (!(await User.exists({ _id: targetId }))) {
+    return { status: 404, error: 'User not found' };
+  }
+
+  await User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: targetId } });
+
+  if (io) io.to(userRoom(userId)).emit('user-blocked', { userId: targetId });
+  return {};
+};
+
+/**
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+const unblockUser = async (io, userId, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    return { status: 400, error: 'Valid userId is required' };
+  }
+
+  const { modifiedCount } = await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+  if (!modifiedCount) {
+    return { status: 404, error: 'User is not blocked' };
+  }
+
+  if (io) io.to(userRoom(userId)).emit('user-unblocked', { userId: targetId });
+  return {};
+};
+
+module.exports = {
+  NEUTRAL_SEND_ERROR,
+  isBlockedBetween,
+  hasBlocked,
+  getBlockRelations,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+};
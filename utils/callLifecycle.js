@@ -0,0 +1,369 @@
+const ActiveCall = require('../models/ActiveCall');
+const CallHistory = require('../models/CallHistory');
+const { sendMissedCallNotification } = require('../config/firebase');
+const { getStateStore } = require('../config/stateStore');
+const { userRoom } = require('./groupChat');
+const { pushToUser } = require('./sessions');
+const {
+  ACTIVE_STATES,
+  getParticipant,
+  participantsIn,
+  isActive,
+  joinedTargets,
+  leaveCall,
+  isGroupCallOver,
+  historyParticipants,
+} = require('./calls');
+
+/*
+ * How calls end. Every way a call can end goes through endCall (or recordCall, for calls that never
+ * rang anyone). Both derive the outcome from the participants' states and the end reason. endCall also
+ * stops ring timeouts, tells the clients, writes CallHistory and sends missed-call pushes, so history,
+ * pushes and durations always agree.
+ *
+ * CallHistory.status (outcomeOf):
+ *   answered     connected, then hung up
+ *   dropped      connected, then ended by a disconnect
+ *   missed       nobody answered before the ring timeout
+ *   cancelled    the caller hung up before anyone answered
+ *   rejected     every invitee declined
+ *   busy         every invitee was in another call
+ *   unavailable  nobody could be rung (inactive, offline without a push token, or busy)
+ *   failed       the call couldn't be set up
+ * CallHistory.endReason says why it ended: hangup, declined, timeout, disconnected, busy, offline,
+ * inactive or caller-offline.
+ * Every participant who rang and never answered ends as missed and gets exactly one missed-call push.
+ *
+ * Live calls (offer and ring deadlines included) are also kept in MongoDB (models/ActiveCall.js), so a
+ * restarted server can settle or resume them: see recoverCalls.
+ */
+
+const FAILURE_REASONS = ['caller-offline'];
+
+const RING_TIMEOUT_MS = (parseInt(process.env.CALL_RING_TIMEOUT_SECONDS, 10) || 180) * 1000;
+
+// After a restart, clients get this long to reconnect before the recovered calls are settled
+const RECOVERY_DELAY_MS = 15 * 1000;
+
+// Same safety net as the state store's calls
+const ACTIVE_CALL_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Ring timers started on this instance: ringKey -> timeoutId.
+// Whichever instance handles accept/reject/end claims the ring in the store; a timer that fires
+// after that finds nothing to claim and does nothing.
+const ringTimers = new Map();
+
+// Every invitee rings on their own, in 1:1 and group calls
+const ringKey = (channelId, userId) => `${channelId}:${userId}`;
+
+// Call events are read-modify-write on the stored call, so this instance handles a channel's events
+// one at a time, in arrival order: concurrent joins don't overwrite each other, and ICE candidates
+// don't overtake the invite or answer they belong to
+const callQueues = new Map();
+const queueCallTask = (channelId, task) => {
+  const id = String(channelId);
+  const run = (callQueues.get(id) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  callQueues.set(id, tail);
+  tail.then(() => {
+    if (callQueues.get(id) === tail) callQueues.delete(id);
+  });
+  return run;
+};
+
+// io.to([]) would broadcast to everyone
+const emitToTargets = (io, targets, event, payload) => {
+  if (targets.length > 0) io.to(targets).emit(event, payload);
+};
+
+/**
+ * Store a call's new state: in the state store (every instance) and in MongoDB (restarts).
+ */
+const saveCall = async (call) => {
+  await getStateStore().saveCall(call.channelId, call);
+  await ActiveCall.updateOne(
+    { channelId: call.channelId },
+    { $set: { call, expiresAt: new Date(Date.now() + ACTIVE_CALL_TTL_MS) } },
+    { upsert: true }
+  ).catch((err) => console.error('ActiveCall save:', err.message));
+};
+
+/**
+ * Outcome of a call (CallHistory.status), from its participants' states and why it ended.
+ */
+const outcomeOf = (call, reason) => {
+  if (call.acceptedAt) return reason === 'disconnected' ? 'dropped' : 'answered';
+  if (FAILURE_REASONS.includes(reason)) return 'failed';
+
+  const invitees = call.participants.filter((p) => p.userId !== String(call.callerId));
+  const states = new Set(invitees.map((p) => p.state));
+  const [only] = states;
+  if (states.size === 1 && ['rejected', 'busy', 'unavailable'].includes(only)) return only;
+  if (invitees.every((p) => p.state === 'busy' || p.state === 'unavailable')) return 'unavailable';
+
+  const caller = getParticipant(call, call.callerId);
+  return caller && caller.state !== 'joined' ? 'cancelled' : 'missed';
+};
+
+/**
+ * Write the CallHistory entry for a call, e.g. one that ended before ringing anyone (busy, unavailable).
+ *
+ * @param {object} call - Call (utils/calls.js); participants hold their final states
+ * @param {string} reason - CallHistory.endReason
+ * @returns {Promise<string>} the recorded status
+ */
+const recordCall = async (call, reason, status = outcomeOf(call, reason), endedAt = new Date()) => {
+  const startedAt = new Date(call.acceptedAt || call.inviteSentAt || endedAt);
+  try {
+    await CallHistory.create({
+      callerId: call.callerId,
+      calleeId: call.calleeId || undefined,
+      isGroup: !!call.isGroup,
+      chatId: call.chatId || null,
+      channelId: call.channelId,
+      callType: call.callType || 'audio',
+      videoUsed: !!call.videoUsed || call.callType === 'video',
+      status,
+      endReason: reason,
+      startedAt,
+      endedAt,
+      durationSeconds: call.acceptedAt ? Math.max(0, Math.round((endedAt - startedAt) / 1000)) : 0,
+      participants: historyParticipants(call, endedAt),
+    });
+  } catch (e) {
+    console.error(`CallHistory create (${status}):`, e.message);
+  }
+  return status;
+};
+
+const pushMissedCall = (call, userId) =>
+  pushToUser(userId, (token) =>
+    sendMissedCallNotification(token, {
+      channelId: call.channelId,
+      callerId: call.callerId,
+      callerName: call.callerName || '',
+      callType: call.callType,
+      callerPhone: call.callerPhone || '',
+      isGroup: call.isGroup,
+    })
+  ).catch((err) => console.error('FCM missed call:', err.message));
+
+/**
+ * Stop an invitee's ring timeout, wherever it was started.
+ * @returns {Promise<boolean>} true for exactly one caller (on any instance) while the invitee is ringing
+ */
+const stopRinging = async (channelId, userId) => {
+  const key = ringKey(channelId, userId);
+  const claimed = await getStateStore().claimRing(key);
+  const timeoutId = ringTimers.get(key);
+  if (timeoutId) {
+    clearTimeout(timeoutId);
+    ringTimers.delete(key);
+  }
+  return claimed;
+};
+
+// After the end: never send invite or FCM for this channelId again
+const closeChannel = async (channelId) => {
+  const stateStore = getStateStore();
+  await stateStore.markChannelEnded(channelId);
+  await stateStore.clearInviteSent(channelId);
+  await stateStore.deleteCall(channelId);
+  await ActiveCall.deleteOne({ channelId }).catch((err) => console.error('ActiveCall delete:', err.message));
+};
+
+// How a participant's own ending is applied: joined -> left, ringing -> rejected (declined / hung up) or missed
+const endParticipation = async (call, participant, reason, now) => {
+  if (participant.state === 'ringing') await stopRinging(call.channelId, participant.userId);
+  leaveCall(call, participant, reason === 'declined' || reason === 'hangup' ? 'rejected' : 'missed', now);
+};
+
+/**
+ * End a call for everyone: stop ringing (still-ringing invitees missed it), send call-ended
+ * { channelId, status, reason } to everyone still in it, free the channel, record history and send
+ * missed-call pushes.
+ *
+ * @param {object} io - Socket.io server
+ * @param {object} call - Call (utils/calls.js)
+ * @param {string} reason - CallHistory.endReason
+ * @param {object} [options] - endedBy: user whose hang-up / decline / disconnect ended it;
+ *   notify: false when the caller of endCall sends its own events
+ * @returns {Promise<string>} the recorded status
+ */
+const endCall = async (io, call, reason, { endedBy = null, notify = true } = {}) => {
+  const endedAt = new Date();
+  const notified = participantsIn(call, ACTIVE_STATES).map((p) => p.userId);
+
+  const missed = [];
+  const ender = endedBy && getParticipant(call, endedBy);
+  if (isActive(ender)) {
+    await endParticipation(call, ender, reason, endedAt);
+    if (ender.state === 'missed') missed.push(ender);
+  }
+
+  const status = outcomeOf(call, reason);
+
+  for (const participant of participantsIn(call, ['ringing'])) {
+    await stopRinging(call.channelId, participant.userId);
+    leaveCall(call, participant, 'missed', endedAt);
+    missed.push(participant);
+  }
+
+  if (notify) {
+    emitToTargets(io, notified.map(userRoom), 'call-ended', { channelId: call.channelId, status, reason });
+  }
+
+  await closeChannel(call.channelId);
+  await recordCall(call, reason, status, endedAt);
+  missed.forEach((participant) => pushMissedCall(call, participant.userId));
+  return status;
+};
+
+/**
+ * One participant leaves a group call (hangup), declines it, rings out (timeout) or disconnects.
+ * The others get call-participant-left { channelId, userId, reason: left | rejected | missed | disconnected };
+ * the call ends once nobody is left to talk to.
+ */
+const leaveGroupCall = async (io, call, userId, reason) => {
+  const participant = getParticipant(call, userId);
+  await endParticipation(call, participant, reason, new Date());
+
+  if (reason !== 'disconnected') {
+    io.to(userRoom(userId)).emit('call-ended', { channelId: call.channelId, reason });
+  }
+  if (participant.state === 'missed') pushMissedCall(call, userId);
+
+  let leftReason = participant.state;
+  if (participant.state === 'left' && reason === 'disconnected') leftReason = 'disconnected';
+  emitToTargets(io, joinedTargets(call, userId), 'call-participant-left', {
+    channelId: call.channelId,
+    userId: participant.userId,
+    reason: leftReason,
+  });
+
+  if (isGroupCallOver(call)) {
+    await endCall(io, call, reason);
+  } else {
+    await saveCall(call);
+  }
+};
+
+// Ring timeout: a 1:1 call ends as missed; a group invitee misses it while it goes on for the others
+const ringOut = async (io, channelId, userId) => {
+  const key = ringKey(channelId, userId);
+  ringTimers.delete(key);
+  try {
+    // Answered, rejected or ended meanwhile (possibly on another instance)
+    if (!(await getStateStore().claimRing(key))) return;
+
+    const call = await getStateStore().getCall(channelId);
+    const participant = call && getParticipant(call, userId);
+    if (participant?.state !== 'ringing') return;
+
+    if (call.isGroup) {
+      await leaveGroupCall(io, call, userId, 'timeout');
+    } else {
+      await endCall(io, call, 'timeout');
+    }
+  } catch (error) {
+    console.error('Ring timeout error:', error);
+  }
+};
+
+const armRing = async (io, channelId, userId, ms) => {
+  const key = ringKey(channelId, userId);
+  await getStateStore().startRing(key, ms);
+  clearTimeout(ringTimers.get(key));
+  ringTimers.set(key, setTimeout(() => queueCallTask(channelId, () => ringOut(io, channelId, userId)), ms));
+};
+
+/**
+ * Start the ring timeout of each invitee (CALL_RING_TIMEOUT_SECONDS) and store their deadlines.
+ */
+const startRinging = async (io, call, userIds) => {
+  const deadline = new Date(Date.now() + RING_TIMEOUT_MS);
+  for (const userId of userIds) {
+    getParticipant(call, userId).ringDeadline = deadline;
+    await armRing(io, call.channelId, userId, RING_TIMEOUT_MS);
+  }
+  await saveCall(call);
+};
+
+const isConnected = async (io, socketId) => !!socketId && (await io.in(socketId).fetchSockets()).length > 0;
+
+// Settle or resume one call from MongoDB
+const recoverCall = async (io, channelId, savedCall) => {
+  const stateStore = getStateStore();
+  if (await stateStore.isChannelEnded(channelId)) {
+    await ActiveCall.deleteOne({ channelId });
+    return;
+  }
+
+  // Several instances starting together: one recovers each call
+  const { count } = await stateStore.incrementCounter(`call-recovery:${channelId}`, RECOVERY_DELAY_MS);
+  if (count > 1) return;
+
+  // The state store lost it (in-memory store, or Redis restarted too): restore the saved copy
+  let call = await stateStore.getCall(channelId);
+  if (!call) {
+    call = savedCall;
+    await stateStore.saveCall(channelId, call);
+    await stateStore.markInviteSent(channelId);
+  }
+
+  // Devices that were in the call and are gone. A user who reconnected stays in the call, with
+  // signaling to all their devices; anyone else is disconnected.
+  for (const participant of participantsIn(call, ['joined'])) {
+    if (await isConnected(io, participant.socketId)) continue;
+    if (await stateStore.isUserOnline(participant.userId)) {
+      participant.socketId = null;
+      await saveCall(call);
+      continue;
+    }
+    if (call.isGroup) {
+      await leaveGroupCall(io, call, participant.userId, 'disconnected');
+    } else {
+      await endCall(io, call, 'disconnected', { endedBy: participant.userId });
+    }
+    if (await stateStore.isChannelEnded(channelId)) return;
+  }
+
+  // Ring timeouts: overdue ones fire right away
+  const now = Date.now();
+  for (const participant of participantsIn(call, ['ringing'])) {
+    const deadline = participant.ringDeadline
+      ? new Date(participant.ringDeadline).getTime()
+      : new Date(participant.invitedAt).getTime() + RING_TIMEOUT_MS;
+    await armRing(io, channelId, participant.userId, Math.max(0, deadline - now));
+  }
+};
+
+/**
+ * After a restart, pick up the calls that were live: once clients had RECOVERY_DELAY_MS to reconnect,
+ * participants who didn't come back are disconnected, and ring timeouts are started again (overdue
+ * ones fire at once), with the usual call-ended events, history and missed-call pushes.
+ * Calls another instance is still running are unaffected: their devices are connected, and each ring
+ * can only be claimed once.
+ */
+const recoverCalls = async (io) => {
+  await new Promise((resolve) => setTimeout(resolve, RECOVERY_DELAY_MS));
+  const saved = await ActiveCall.find().lean();
+  for (const { channelId, call } of saved) {
+    await queueCallTask(channelId, () => recoverCall(io, channelId, call)).catch((error) =>
+      console.error('Call recovery error:', error)
+    );
+  }
+  if (saved.length > 0) console.log(`Recovered ${saved.length} call(s)`);
+};
+
+module.exports = {
+  queueCallTask,
+  emitToTargets,
+  saveCall,
+  recordCall,
+  startRinging,
+  stopRinging,
+  endCall,
+  leaveGroupCall,
+  recoverCalls,
+};
@@ -0,0 +1,152 @@
+const { userRoom } = require('./groupChat');
+
+/*
+ * Live call state, shared by 1:1 and group (mesh) calls. A call is stored in the state store as
+ *   { channelId, callType, videoUsed, callerId, callerName, callerPhone, calleeId (1:1), isGroup,
+ *     chatId (calls to a group chat), offer (1:1), inviteSentAt, acceptedAt, participants }
+ * acceptedAt is when a second participant joined (the call connected). callType is how the call
+ * started; videoUsed is set once video was on at any point (video call, or upgraded with call-renegotiate).
+ * Every participant, the caller included, moves through ringing -> joined -> left, or ends as
+ * rejected / missed without joining; invitees who couldn't be rung are busy / unavailable.
+ * Ringing and joined participants are in the call (busy for others); anyone else invited can still
+ * join a group call while it lasts. How calls end: utils/callLifecycle.js.
+ */
+
+// Mesh calls: every participant streams to every other one, so keep this small
+const MAX_CALL_PARTICIPANTS = parseInt(process.env.CALL_MAX_PARTICIPANTS, 10) || 8;
+
+const ACTIVE_STATES = ['ringing', 'joined'];
+
+// What a joined participant tells the others with call-media-state (all off when joining)
+const MEDIA_STATE_FIELDS = ['audioMuted', 'videoMuted', 'onHold', 'screenSharing'];
+
+const mediaState = (participant) =>
+  Object.fromEntries(MEDIA_STATE_FIELDS.map((field) => [field, !!participant[field]]));
+
+const createParticipant = (userId, state = 'ringing', now = new Date()) => ({
+  userId: String(userId),
+  state,
+  // The device in the call once joined (signaling goes only there; to every device if it was lost in a restart)
+  socketId: null,
+  invitedAt: now,
+  joinedAt: null,
+  lastJoinedAt: null,
+  leftAt: null,
+  // Time spent joined while the call was connected, over every join
+  durationSeconds: 0,
+  // Ring timeout while ringing (kept with the call, so it survives a restart)
+  ringDeadline: null,
+  audioMuted: false,
+  videoMuted: false,
+  onHold: false,
+  screenSharing: false,
+});
+
+const getParticipant = (call, userId) =>
+  call.participants.find((p) => p.userId === String(userId)) || null;
+
+const participantsIn = (call, states) => call.participants.filter((p) => states.includes(p.state));
+
+const isActive = (participant) => !!participant && ACTIVE_STATES.includes(participant.state);
+
+// The device in the call, or every device of the user while ringing
+const participantTarget = (participant) => participant.socketId || userRoom(participant.userId);
+
+// Everyone joined except one user, for participant events
+const joinedTargets = (call, exceptUserId) =>
+  participantsIn(call, ['joined'])
+    .filter((p) => p.userId !== String(exceptUserId))
+    .map(participantTarget);
+
+const joinCall = (participant, socketId, now = new Date()) => {
+  participant.state = 'joined';
+  participant.socketId = socketId;
+  participant.joinedAt = participant.joinedAt || now;
+  participant.lastJoinedAt = now;
+  participant.leftAt = null;
+  participant.ringDeadline = null;
+  MEDIA_STATE_FIELDS.forEach((field) => {
+    participant[field] = false;
+  });
+};
+
+// Seconds of a participant's current join that the call was connected for
+const connectedSeconds = (call, participant, now) => {
+  if (!call.acceptedAt || participant.state !== 'joined') return 0;
+  const from = Math.max(new Date(participant.lastJoinedAt), new Date(call.acceptedAt));
+  return Math.max(0, Math.round((now - from) / 1000));
+};
+
+// Leave (joined) or stop ringing: state is left for joined participants, otherwise rejected or missed
+const leaveCall = (call, participant, state, now = new Date()) => {
+  if (participant.state === 'joined') {
+    participant.durationSeconds += connectedSeconds(call, participant, now);
+    participant.state = 'left';
+  } else {
+    participant.state = state;
+  }
+  participant.socketId = null;
+  participant.ringDeadline = null;
+  participant.leftAt = now;
+};
+
+// A group call is over once nobody can talk to anybody: nobody joined, or one joined and nobody ringing
+const isGroupCallOver = (call) => {
+  const joined = participantsIn(call, ['joined']).length;
+  return joined === 0 || (joined === 1 && participantsIn(call, ['ringing']).length === 0);
+};
+
+// Participant as sent to clients
+const formatParticipant = (participant) => ({
+  userId: participant.userId,
+  state: participant.state,
+  ...mediaState(participant),
+});
+
+// Group call as sent in call-invite and call-joined
+const formatCall = (call) => ({
+  channelId: call.channelId,
+  callType: call.callType,
+  videoUsed: !!call.videoUsed,
+  callerId: call.callerId,
+  callerName: call.callerName,
+  isGroup: true,
+  chatId: call.chatId,
+  participants: call.participants.map(formatParticipant),
+});
+
+// CallHistory.participants for a finished call
+const historyParticipants = (call, endedAt) =>
+  call.participants.map((p) => {
+    let status = 'missed';
+    if (p.joinedAt) status = 'joined';
+    else if (['rejected', 'busy', 'unavailable'].includes(p.state)) status = p.state;
+
+    return {
+      userId: p.userId,
+      status,
+      invitedAt: p.invitedAt,
+      joinedAt: p.joinedAt,
+      leftAt: p.joinedAt ? p.leftAt || endedAt : null,
+      durationSeconds: p.durationSeconds + connectedSeconds(call, p, endedAt),
+    };
+  });
+
+module.exports = {
+  MAX_CALL_PARTICIPANTS,
+  ACTIVE_STATES,
+  MEDIA_STATE_FIELDS,
+  mediaState,
+  createParticipant,
+  getParticipant,
+  participantsIn,
+  isActive,
+  participantTarget,
+  joinedTargets,
+  joinCall,
+  leaveCall,
+  isGroupCallOver,
+  formatParticipant,
+  formatCall,
+  historyParticipants,
+};
@@ -0,0 +1,174 @@
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const { sendContactJoinedNotification } = require('../config/firebase');
+const { getStateStore } = require('../config/stateStore');
+const { emitToUsers } = require('./groupChat');
+const { getPushTokens } = require('./sessions');
+const { formatProfile } = require('./profile');
+const { normalizePhoneNumber } = require('./phone');
+
+// Entries (contacts + removed) per request
+const CONTACT_SYNC_BATCH = 1000;
+// Contacts remembered per user
+const CONTACTS_MAX = parseInt(process.env.CONTACTS_MAX, 10) || 5000;
+// Numbers a user may look up per day, across all syncs (limits enumeration of registered numbers)
+const CONTACT_SYNC_DAILY_LIMIT = parseInt(process.env.CONTACT_SYNC_DAILY_LIMIT, 10) || 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/*
+ * Phone-book sync. Clients send phone numbers (E.164 or local) or SHA-256 hex digests of the
+ * E.164 form; only the hashes are stored. Unsalted hashes of phone numbers are easy to reverse, so the
+ * daily lookup quota, not the hashing, is what protects against enumeration.
+ */
+
+// A SHA-256 digest is taken as is, a phone number is normalized (local ones in region) and hashed;
+// anything else is null
+const toNumberHash = (entry, region) => {
+  if (typeof entry !== 'string') return null;
+  const value = entry.trim().toLowerCase();
+  if (HASH_PATTERN.test(value)) return value;
+  const e164 = normalizePhoneNumber(value, region);
+  return e164 ? User.hashMobileNumber(e164) : null;
+};
+
+// Registered users among these hashes. Users who blocked the viewer show no name, about or picture.
+const findRegistered = async (viewerId, hashes) => {
+  if (hashes.length === 0) return [];
+
+  const users = await User.find({
+    mobileNumberHash: { $in: hashes },
+    isActive: true,
+    _id: { $ne: viewerId },
+  })
+    .select('mobileNumber mobileNumberHash name about profilePicture')
+    .lean();
+
+  const blockers = new Set(
+    (await User.find({ _id: { $in: users.map((u) => u._id) }, blockedUsers: viewerId }).select('_id').lean())
+      .map((u) => u._id.toString())
+  );
+
+  return users.map((user) => {
+    const profile = formatProfile(user);
+    if (blockers.has(user._id.toString())) {
+      Object.assign(profile, { name: '', about: '', profilePicture: '' });
+    }
+    return { hash: user.mobileNumberHash, profile };
+  });
+};
+
+/**
+ * Sync a batch of the user's phone book.
+ * Body: { contacts: [], removed?: [], replace?: boolean, region }. replace clears the stored contacts first
+ * (send it with the first batch of a full sync). Entries are phone numbers or SHA-256 hex digests;
+ * local numbers are read in region.
+ *
+ * @returns {Promise<{ status?: number, error?: string, retryAfter?: number,
+ *   matches?: { contact: string, user: object }[], invalid?: number, stored?: number }>}
+ */
+const syncContacts = async (userId, { contacts = [], removed = [], replace = false, region } = {}) => {
+  if (!Array.isArray(contacts) || !Array.isArray(removed)) {
+    return { status: 400, error: 'contacts and removed must be arrays' };
+  }
+
+  if (contacts.length + removed.length > CONTACT_SYNC_BATCH) {
+    return { status: 400, error: `At most ${CONTACT_SYNC_BATCH} entries per request` };
+  }
+
+  if (contacts.length > 0) {
+    const quota = await getStateStore().incrementCounter(`contact-sync:${userId}`, DAY_MS, contacts.length);
+    if (quota.count > CONTACT_SYNC_DAILY_LIMIT) {
+      return {
+        status: 429,
+        error: 'Contact sync limit reached, try again later',
+        retryAfter: Math.ceil((quota.resetAt - Date.now()) / 1000),
+      };
+    }
+  }
+
+  // hash -> entry as the client sent it, so matches can be mapped back to the phone book
+  const entriesByHash = new Map();
+  let invalid = 0;
+  for (const entry of contacts) {
+    const hash = toNumberHash(entry, region);
+    if (hash) entriesByHash.set(hash, entry);
+    else invalid += 1;
+  }
+  const hashes = [...entriesByHash.keys()];
+
+  if (replace) {
+    await Contact.deleteMany({ ownerId: userId });
+  } else if (removed.length > 0) {
+    const removedHashes = removed.map((entry) => toNumberHash(entry, region)).filter(Boolean);
+    await Contact.deleteMany({ ownerId: userId, numberHash: { $in: removedHashes } });
+  }
+
+  const [known, storedCount] = await Promise.all([
+    Contact.find({ ownerId: userId, numberHash: { $in: hashes } }).select('numberHash').lean(),
+    Contact.countDocuments({ ownerId: userId }),
+  ]);
+  const knownHashes = new Set(known.map((c) => c.numberHash));
+  const newHashes = hashes.filter((hash) => !knownHashes.has(hash));
+
+  if (storedCount + newHashes.length > CONTACTS_MAX) {
+    return { status: 400, error: `At most ${CONTACTS_MAX} contacts can be synced` };
+  }
+
+  if (newHashes.length > 0) {
+    // Unordered: a duplicate from a concurrent sync doesn't stop the rest
+    await Contact.insertMany(
+      newHashes.map((numberHash) => ({ ownerId: userId, numberHash })),
+      { ordered: false }
+    ).catch((error) => {
+      const duplicatesOnly = (error.writeErrors || [error]).every((e) => e.code === 11000);
+      if (!duplicatesOnly) throw error;
+    });
+  }
+
+  const registered = await findRegistered(userId, hashes);
+
+  return {
+    matches: registered.map(({ hash, profile }) => ({ contact: entriesByHash.get(hash), user: profile })),
+    invalid,
+    stored: storedCount + newHashes.length,
+  };
+};
+
+// Registered users among all of the user's synced contacts
+const getContactUsers = async (userId) => {
+  const hashes = await Contact.find({ ownerId: userId }).distinct('numberHash');
+  const registered = await findRegistered(userId, hashes);
+  return registered.map(({ profile }) => profile);
+};
+
+/**
+ * A user just registered: tell everyone who has their number in a synced phone book
+ * (contact-joined on their sockets, plus a low-priority push).
+ */
+const notifyContactJoined = async (io, user) => {
+  const hash = user.mobileNumberHash || User.hashMobileNumber(user.mobileNumber);
+  const ownerIds = (await Contact.find({ numberHash: hash }).distinct('ownerId'))
+    .filter((id) => id.toString() !== user._id.toString());
+  if (ownerIds.length === 0) return;
+
+  const profile = formatProfile(user);
+  emitToUsers(io, ownerIds, 'contact-joined', { user: profile });
+
+  const tokens = [...(await getPushTokens(ownerIds)).values()].flat();
+  await Promise.all(tokens.map((token) =>
+    sendContactJoinedNotification(token, {
+      userId: user._id,
+      mobileNumber: user.mobileNumber,
+      name: user.name,
+    })
+  ));
+};
+
+module.exports = {
+  CONTACT_SYNC_BATCH,
+  syncContacts,
+  getContactUsers,
+  notifyContactJoined,
+};
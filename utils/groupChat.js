@@ -0,0 +1,144 @@
+const Message = require('../models/Message');
+const { sendMessageNotification } = require('../config/firebase');
+const { getPushTokens } = require('./sessions');
+
+const PARTICIPANT_FIELDS = 'mobileNumber name profilePicture';
+const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS, 10) || 256;
+
+// Every socket joins its user room on connect, so emitting to the room reaches the user wherever they are
+const userRoom = (userId) => `user:${userId}`;
+
+const emitToUsers = (io, userIds, event, payload) => {
+  if (!io || !userIds || userIds.length === 0) return;
+  const rooms = userIds.map((id) => userRoom((id._id ?? id).toString()));
+  io.to(rooms).emit(event, payload);
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const isParticipant = (chat, userId) =>
+  chat.participants.some((p) => idOf(p) === userId.toString());
+
+const isAdmin = (chat, userId) =>
+  (chat.admins || []).some((a) => idOf(a) === userId.toString());
+
+const displayName = (user) => (user && (user.name || user.mobileNumber)) || 'Someone';
+
+// Group info as returned to clients (chat list, group routes, socket events)
+const formatGroupInfo = (chat) => ({
+  name: chat.name,
+  avatar: chat.avatar,
+  description: chat.description,
+  createdBy: chat.createdBy,
+  admins: chat.admins,
+  participants: chat.participants,
+});
+
+const buildSystemText = (action, actor, targets) => {
+  const actorName = displayName(actor);
+  const targetNames = targets.map(displayName).join(', ');
+
+  switch (action) {
+    case 'group-created':
+      return `${actorName} created the group`;
+    case 'group-updated':
+      return `${actorName} updated the group info`;
+    case 'member-added':
+      return `${actorName} added ${targetNames}`;
+    case 'member-removed':
+      return `${actorName} removed ${targetNames}`;
+    case 'member-left':
+      return `${actorName} left`;
+    case 'admin-promoted':
+      return `${actorName} made ${targetNames} an admin`;
+    default:
+      return actorName;
+  }
+};
+
+/**
+ * Store a system message (membership / metadata change) in the group timeline,
+ * make it the chat's last message and push it to every current member.
+ *
+ * @param {object} io - Socket.io server
+ * @param {object} chat - Chat document (participants not populated)
+ * @param {object} actor - User who made the change
+ * @param {string} action - Message.systemEvent.action value
+ * @param {object[]} targets - Users affected by the change
+ * @returns {Promise<object>} the populated system message
+ */
+const createSystemMessage = async (io, chat, actor, action, targets = []) => {
+  const systemMessage = await Message.create({
+    chatId: chat._id,
+    senderId: actor._id,
+    receiverId: null,
+    message: buildSystemText(action, actor, targets),
+    messageType: 'system',
+    systemEvent: {
+      action,
+      actorId: actor._id,
+      targetIds: targets.map((t) => t._id),
+    },
+  });
+
+  await systemMessage.populate('senderId', PARTICIPANT_FIELDS);
+
+  chat.lastMessage = systemMessage._id;
+  chat.lastMessageAt = systemMessage.createdAt;
+  await chat.save();
+
+  emitToUsers(io, chat.participants, 'new-message', {
+    chatId: chat._id,
+    message: systemMessage,
+  });
+
+  return systemMessage;
+};
+
+/**
+ * Send the new-message FCM push to every device of every group member except the sender.
+ * Failures are logged per member and never thrown.
+ * badges: optional Map userId -> { totalUnread } used as each member's APNs badge.
+ */
+const notifyGroupMembers = async (chat, sender, message, badges) => {
+  const recipientIds = chat.participants
+    .map(idOf)
+    .filter((id) => id !== sender._id.toString());
+
+  if (recipientIds.length === 0) return;
+
+  const tokensByUser = await getPushTokens(recipientIds);
+
+  await Promise.all(
+    [...tokensByUser].flatMap(([recipientId, tokens]) =>
+      tokens.map((token) =>
+        sendMessageNotification(token, {
+          chatId: String(chat._id),
+          senderId: String(sender._id),
+          senderName: displayName(sender),
+          receiverId: recipientId,
+          message: typeof message.message === 'string' ? message.message : String(message.message || ''),
+          groupName: chat.name,
+          badge: badges?.get(recipientId)?.totalUnread,
+        }).catch((err) => {
+          console.error('FCM: Group push error:', err.message);
+          return false;
+        })
+      )
+    )
+  );
+};
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  GROUP_MAX_MEMBERS,
+  userRoom,
+  emitToUsers,
+  idOf,
+  isParticipant,
+  isAdmin,
+  displayName,
+  formatGroupInfo,
+  createSystemMessage,
+  notifyGroupMembers,
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/*
+ * ICE servers for RTCPeerConnection (GET /api/call/config).
+ * TURN uses time-limited credentials (the TURN REST API scheme, coturn's use-auth-secret): the username
+ * is "<expiry unix time>:<userId>" and the credential is base64(HMAC-SHA1(WEBRTC_TURN_SECRET, username)),
+ * so the TURN server checks them with the shared secret alone and they stop working after the TTL.
+ * URLs are comma-separated lists; list one URL per transport, e.g.
+ *   turn:turn.example.com:3478?transport=udp,turn:turn.example.com:3478?transport=tcp,turns:turn.example.com:5349?transport=tcp
+ */
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):[^\s,]+$/;
+
+const parseUrls = (value) =>
+  (value || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+// Misconfigured URLs are dropped (and reported once) rather than handed to every client
+const validUrls = (name, urls) => {
+  const invalid = urls.filter((url) => !ICE_URL_PATTERN.test(url));
+  if (invalid.length > 0) console.warn(`${name}: ignoring invalid ICE server URLs: ${invalid.join(', ')}`);
+  return urls.filter((url) => ICE_URL_PATTERN.test(url));
+};
+
+const STUN_URLS = validUrls(
+  'WEBRTC_STUN_URLS',
+  parseUrls(process.env.WEBRTC_STUN_URLS || process.env.WEBRTC_STUN_URL || 'stun:stun.l.google.com:19302')
+);
+const TURN_URLS = validUrls('WEBRTC_TURN_URLS', parseUrls(process.env.WEBRTC_TURN_URLS || process.env.WEBRTC_TURN_URL));
+const TURN_SECRET = process.env.WEBRTC_TURN_SECRET;
+const TURN_TTL_SECONDS = parseInt(process.env.WEBRTC_TURN_TTL_SECONDS, 10) || 24 * 60 * 60; // 1 day
+
+// Fixed credentials, from before WEBRTC_TURN_SECRET: every client gets the same ones and they never expire
+const STATIC_TURN_USERNAME = process.env.WEBRTC_TURN_USERNAME;
+const STATIC_TURN_CREDENTIAL = process.env.WEBRTC_TURN_CREDENTIAL;
+if (TURN_URLS.length > 0 && !TURN_SECRET && STATIC_TURN_USERNAME) {
+  console.warn('TURN: using static WEBRTC_TURN_USERNAME/WEBRTC_TURN_CREDENTIAL; set WEBRTC_TURN_SECRET for expiring credentials.');
+}
+
+/**
+ * TURN REST API credentials for one user.
+ * @returns {{ username: string, credential: string, expiresAt: Date }}
+ */
+const createTurnCredentials = (userId, now = Date.now()) => {
+  const expiry = Math.floor(now / 1000) + TURN_TTL_SECONDS;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, expiresAt: new Date(expiry * 1000) };
+};
+
+/**
+ * ICE servers for a user, with fresh TURN credentials.
+ * @returns {{ iceServers: object[], ttl: number|null, expiresAt: Date|null }} ttl / expiresAt: when the
+ *   TURN credentials stop working (null without expiring credentials)
+ */
+const getIceServers = (userId) => {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) iceServers.push({ urls: STUN_URLS });
+
+  if (TURN_URLS.length === 0) return { iceServers, ttl: null, expiresAt: null };
+
+  if (TURN_SECRET) {
+    const { username, credential, expiresAt } = createTurnCredentials(userId);
+    iceServers.push({ urls: TURN_URLS, username, credential });
+    return { iceServers, ttl: TURN_TTL_SECONDS, expiresAt };
+  }
+
+  iceServers.push({
+    urls: TURN_URLS,
+    username: STATIC_TURN_USERNAME || undefined,
+    credential: STATIC_TURN_CREDENTIAL || undefined,
+  });
+  return { iceServers, ttl: null, expiresAt: null };
+};
+
+module.exports = {
+  createTurnCredentials,
+  getIceServers,
+};
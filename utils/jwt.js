@@ -1,18 +1,21 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateAccessToken = (userId) => {
+// sessionId ties the token to one device (models/Session.js) so it can be revoked
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    sessionId ? { userId, sessionId } : { userId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
-const generateRefreshToken = (userId) => {
+// jwtid makes every refresh token unique, even two rotated within the same second
+const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    sessionId ? { userId, sessionId } : { userId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', jwtid: crypto.randomUUID() }
   );
 };
 
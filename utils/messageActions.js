@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../config/storage');
+const { sendReactionNotification } = require('../config/firebase');
+const { emitToUsers, userRoom, idOf, isParticipant, displayName } = require('./groupChat');
+const { recountUnread } = require('./unread');
+const { pushToUser } = require('./sessions');
+
+// Sender may delete for everyone within this window (default 1 hour)
+const DELETE_FOR_EVERYONE_WINDOW_MS =
+  (parseInt(process.env.MESSAGE_DELETE_WINDOW_SECONDS, 10) || 60 * 60) * 1000;
+
+// Opt-in low-priority push to the message sender on reactions
+const REACTION_PUSH_ENABLED = process.env.REACTION_PUSH_ENABLED === 'true';
+
+// Internal bookkeeping never sent to clients
+const HIDDEN_MESSAGE_FIELDS = '-editHistory -deletedFor';
+
+// One emoji (incl. ZWJ sequences, skin tones and flags), not arbitrary text
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const EMOJI_REQUIRED = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const MAX_EMOJI_LENGTH = 16;
+
+// Longest text message (send and edit)
+const MESSAGE_MAX_LENGTH = parseInt(process.env.MESSAGE_MAX_LENGTH, 10) || 4096;
+
+// Quoted text length in reply snapshots
+const REPLY_SNIPPET_LENGTH = 100;
+
+const truncate = (text) =>
+  text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : text;
+
+/*
+ * Shared by the REST routes and socket events. Every action resolves to
+ * { status, error } on failure or { chat, message } on success.
+ */
+
+const loadMessage = async (userId, chatId, messageId) => {
+  if (!mongoose.isValidObjectId(chatId) || !mongoose.isValidObjectId(messageId)) {
+    return { status: 400, error: 'Invalid chat or message ID' };
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat || !isParticipant(chat, userId)) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  const message = await Message.findOne({ _id: messageId, chatId });
+  if (!message || message.deletedFor.some((id) => id.toString() === userId.toString())) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  return { chat, message };
+};
+
+const isSender = (message, userId) => message.senderId.toString() === userId.toString();
+
+/**
+ * Compact quoted snapshot for a reply. The quoted message must be in the same chat
+ * and still visible to the sender.
+ * @returns {Promise<{ replyTo?: object, error?: string }>}
+ */
+const buildReplySnapshot = async (replyToId, chatId, userId) => {
+  if (!mongoose.isValidObjectId(replyToId)) {
+    return { error: 'Invalid replyTo message ID' };
+  }
+
+  const original = await Message.findOne({ _id: replyToId, chatId })
+    .populate('senderId', 'mobileNumber name')
+    .lean();
+
+  if (!original || original.isDeleted || original.deletedFor?.some((id) => id.toString() === userId.toString())) {
+    return { error: 'Replied message not found in this chat' };
+  }
+
+  return {
+    replyTo: {
+      messageId: original._id,
+      senderId: original.senderId?._id ?? null,
+      senderName: displayName(original.senderId),
+      messageType: original.messageType,
+      message: truncate(original.message || ''),
+      isDeleted: false,
+    },
+  };
+};
+
+// Keep reply snapshots that quote this message in sync with it
+const syncReplySnapshots = (message) => {
+  const update = message.isDeleted
+    ? { 'replyTo.message': '', 'replyTo.isDeleted': true }
+    : { 'replyTo.message': truncate(message.message || '') };
+  return Message.updateMany({ 'replyTo.messageId': message._id }, { $set: update });
+};
+
+/**
+ * Latest message that is not deleted for everyone (and, if userId is given, not deleted for that user).
+ */
+const findLatestVisibleMessage = (chatId, userId) => {
+  const query = { chatId, isDeleted: { $ne: true } };
+  if (userId) query.deletedFor = { $ne: userId };
+  return Message.findOne(query)
+    .sort({ createdAt: -1 })
+    .select(HIDDEN_MESSAGE_FIELDS)
+    .populate('senderId', 'mobileNumber name profilePicture')
+    .lean();
+};
+
+// Push the chat's (new) preview to its members so open chat lists refresh
+const emitChatPreview = (io, userIds, chatId, lastMessage, lastMessageAt) => {
+  emitToUsers(io, userIds, 'chat-updated', {
+    chatId,
+    lastMessage,
+    lastMessageAt,
+  });
+};
+
+const editMessage = async (io, userId, { chatId, messageId, message: text }) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { status: 400, error: 'Message text is required' };
+  }
+
+  const result = await loadMessage(userId, chatId, messageId);
+  if (result.error) return result;
+  const { chat, message } = result;
+
+  if (!isSender(message, userId)) {
+    return { status: 403, error: 'Only the sender can edit this message' };
+  }
+  if (message.isDeleted || message.messageType === 'system') {
+    return { status: 400, error: 'This message cannot be edited' };
+  }
+  if (message.message === text) {
+    return { chat, message };
+  }
+
+  const editedAt = new Date();
+  message.editHistory.push({ message: message.message, editedAt });
+  message.message = text;
+  message.editedAt = editedAt;
+  await message.save();
+  await syncReplySnapshots(message);
+
+  emitToUsers(io, chat.participants, 'message-edited', {
+    chatId: chat._id,
+    messageId: message._id,
+    message: message.message,
+    editedAt,
+  });
+
+  if (chat.lastMessage && chat.lastMessage.toString() === message._id.toString()) {
+    const preview = await findLatestVisibleMessage(chat._id);
+    emitChatPreview(io, chat.participants, chat._id, preview, chat.lastMessageAt);
+  }
+
+  return { chat, message };
+};
+
+const deleteMessageForMe = async (io, userId, { chatId, messageId }) => {
+  const result = await loadMessage(userId, chatId, messageId);
+  if (result.error) return result;
+  const { chat, message } = result;
+
+  await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+  if (!isSender(message, userId)) {
+    await recountUnread(io, chat._id, userId);
+  }
+
+  // Only the requester's devices need to know
+  emitToUsers(io, [userId], 'message-deleted', {
+    chatId: chat._id,
+    messageId: message._id,
+    forEveryone: false,
+  });
+
+  if (chat.lastMessage && chat.lastMessage.toString() === message._id.toString()) {
+    const preview = await findLatestVisibleMessage(chat._id, userId);
+    emitChatPreview(io, [userId], chat._id, preview, chat.lastMessageAt);
+  }
+
+  return { chat, message };
+};
+
+const deleteMessageForEveryone = async (io, userId, { chatId, messageId }) => {
+  const result = await loadMessage(userId, chatId, messageId);
+  if (result.error) return result;
+  const { chat, message } = result;
+
+  if (!isSender(message, userId) || message.messageType === 'system') {
+    return { status: 403, error: 'Only the sender can delete this message for everyone' };
+  }
+  if (message.isDeleted) {
+    return { chat, message };
+  }
+  if (Date.now() - new Date(message.createdAt).getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+    return { status: 400, error: 'Message is too old to delete for everyone' };
+  }
+
+  const attachmentId = message.attachment?.attachmentId;
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.message = '';
+  message.attachment = null;
+  message.editHistory = [];
+  message.reactions = [];
+  await message.save();
+  await syncReplySnapshots(message);
+
+  // Recipients who hadn't read it yet lose it from their unread count
+  const readerIds = new Set(message.readBy.map((r) => r.userId.toString()));
+  await Promise.all(
+    chat.participants
+      .map(idOf)
+      .filter((id) => id !== userId.toString() && !readerIds.has(id))
+      .map((id) => recountUnread(io, chat._id, id))
+  );
+
+  if (attachmentId) {
+    removeAttachment(attachmentId).catch((err) => console.error('Attachment cleanup error:', err.message));
+  }
+
+  emitToUsers(io, chat.participants, 'message-deleted', {
+    chatId: chat._id,
+    messageId: message._id,
+    forEveryone: true,
+    deletedAt: message.deletedAt,
+  });
+
+  if (chat.lastMessage && chat.lastMessage.toString() === message._id.toString()) {
+    const preview = await findLatestVisibleMessage(chat._id);
+    chat.lastMessage = preview ? preview._id : null;
+    await chat.save();
+    emitChatPreview(io, chat.participants, chat._id, preview, chat.lastMessageAt);
+  }
+
+  return { chat, message };
+};
+
+const isValidEmoji = (emoji) =>
+  typeof emoji === 'string' &&
+  emoji.length <= MAX_EMOJI_LENGTH &&
+  EMOJI_PATTERN.test(emoji) &&
+  EMOJI_REQUIRED.test(emoji);
+
+/**
+ * Aggregate raw reactions for clients: [{ emoji, count }] (most used first) plus the viewer's own reaction.
+ */
+const summarizeReactions = (reactions = [], viewerId) => {
+  const counts = new Map();
+  let myReaction = null;
+
+  for (const reaction of reactions) {
+    counts.set(reaction.emoji, (counts.get(reaction.emoji) || 0) + 1);
+    if (viewerId && reaction.userId.toString() === viewerId.toString()) {
+      myReaction = reaction.emoji;
+    }
+  }
+
+  return {
+    reactions: [...counts].map(([emoji, count]) => ({ emoji, count })).sort((a, b) => b.count - a.count),
+    myReaction,
+  };
+};
+
+// Replace a lean message's raw reactions with the viewer's summary (history responses)
+const withReactionSummary = (message, viewerId) => {
+  const { reactions, myReaction } = summarizeReactions(message.reactions, viewerId);
+  return { ...message, reactions, myReaction };
+};
+
+/**
+ * Set (add or change) the user's reaction, or remove it when emoji is empty.
+ * Broadcasts message-reaction to the chat room and every participant.
+ */
+const reactToMessage = async (io, user, { chatId, messageId, emoji }) => {
+  const userId = user._id;
+  const removing = emoji === null || emoji === undefined || emoji === '';
+
+  if (!removing && !isValidEmoji(emoji)) {
+    return { status: 400, error: 'A single emoji is required' };
+  }
+
+  const result = await loadMessage(userId, chatId, messageId);
+  if (result.error) return result;
+  const { chat, message } = result;
+
+  if (message.isDeleted || message.messageType === 'system') {
+    return { status: 400, error: 'Cannot react to this message' };
+  }
+
+  const previous = message.reactions.find((r) => r.userId.toString() === userId.toString());
+  if ((removing && !previous) || (previous && previous.emoji === emoji)) {
+    return { chat, message };
+  }
+
+  // One atomic update (pipeline): concurrent reactions from the user's devices can't leave two entries
+  const reactorId = new mongoose.Types.ObjectId(userId.toString());
+  const others = { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $ne: ['$$this.userId', reactorId] } } };
+  const reaction = { _id: new mongoose.Types.ObjectId(), userId: reactorId, emoji, reactedAt: '$$NOW' };
+  await Message.updateOne({ _id: message._id }, [
+    { $set: { reactions: removing ? others : { $concatArrays: [others, [reaction]] } } },
+  ], { updatePipeline: true });
+
+  const updated = await Message.findById(message._id).select('reactions').lean();
+  const { reactions } = summarizeReactions(updated.reactions);
+
+  const rooms = [`chat:${chat._id}`, ...chat.participants.map((p) => userRoom(p))];
+  if (io) {
+    io.to(rooms).emit('message-reaction', {
+      chatId: chat._id,
+      messageId: message._id,
+      userId,
+      emoji: removing ? null : emoji,
+      reactions,
+    });
+  }
+
+  const senderId = message.senderId.toString();
+  if (REACTION_PUSH_ENABLED && !removing && senderId !== userId.toString()) {
+    pushToUser(senderId, (token) =>
+      sendReactionNotification(token, {
+        chatId: chat._id,
+        messageId: message._id,
+        reactorId: userId,
+        reactorName: displayName(user),
+        emoji,
+      })
+    ).catch((err) => console.error('FCM: Reaction push error:', err.message));
+  }
+
+  message.reactions = updated.reactions;
+  return { chat, message };
+};
+
+// Tombstoned messages keep no content, so drop the stored files as well
+const removeAttachment = async (attachmentId) => {
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) return;
+  const storage = getStorage();
+  await storage.remove(attachment.storageKey);
+  if (attachment.thumbnailKey) {
+    await storage.remove(attachment.thumbnailKey);
+  }
+  await attachment.deleteOne();
+};
+
+module.exports = {
+  DELETE_FOR_EVERYONE_WINDOW_MS,
+  MAX_EMOJI_LENGTH,
+  MESSAGE_MAX_LENGTH,
+  HIDDEN_MESSAGE_FIELDS,
+  findLatestVisibleMessage,
+  buildReplySnapshot,
+  summarizeReactions,
+  withReactionSummary,
+  reactToMessage,
+  editMessage,
+  deleteMessageForMe,
+  deleteMessageForEveryone,
+};
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { HIDDEN_MESSAGE_FIELDS, withReactionSummary } = require('./messageActions');
+const { withReceiptStatus } = require('./receipts');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const PARTICIPANT_FIELDS = 'mobileNumber name profilePicture';
+
+/*
+ * Cursor pagination over a chat's messages, ordered by (createdAt, _id).
+ * Cursors are message ids, so pages stay stable while new messages arrive and no count is needed.
+ */
+
+const parseLimit = (limit) => Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+
+// Messages strictly older (direction -1) or newer (direction 1) than the anchor
+const beyond = (anchor, direction) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: anchor.createdAt } },
+      { createdAt: anchor.createdAt, _id: { [op]: anchor._id } },
+    ],
+  };
+};
+
+// Fetch one more than needed to know whether there are more
+const fetchPage = async (baseFilter, anchor, direction, limit) => {
+  const filter = anchor ? { $and: [baseFilter, beyond(anchor, direction)] } : baseFilter;
+  const sort = direction < 0 ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 };
+
+  const docs = await Message.find(filter)
+    .select(HIDDEN_MESSAGE_FIELDS)
+    .populate('senderId', PARTICIPANT_FIELDS)
+    .populate('receiverId', PARTICIPANT_FIELDS)
+    .sort(sort)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  return { messages: direction < 0 ? page.reverse() : page, hasMore };
+};
+
+const loadAnchor = async (chatId, messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return Message.findOne({ _id: messageId, chatId }).select('_id createdAt').lean();
+};
+
+/**
+ * One page of a chat's history for a participant, oldest first.
+ * Options: before | after | around (message id), limit (default 50, max 100).
+ * Without a cursor the latest messages are returned.
+ *
+ * @returns {Promise<{ error?: string, messages?: object[], pagination?: object }>}
+ */
+const fetchMessagePage = async (chatId, userId, { before, after, around, limit } = {}) => {
+  const pageLimit = parseLimit(limit);
+  const cursorCount = [before, after, around].filter(Boolean).length;
+
+  if (cursorCount > 1) {
+    return { error: 'Use only one of before, after or around' };
+  }
+
+  const baseFilter = { chatId, deletedFor: { $ne: userId } };
+  const cursorId = before || after || around;
+  const anchor = cursorId ? await loadAnchor(chatId, cursorId) : null;
+
+  if (cursorId && !anchor) {
+    return { error: 'Cursor message not found in this chat' };
+  }
+
+  let messages;
+  let hasMoreBefore = false;
+  let hasMoreAfter = false;
+
+  if (after) {
+    const page = await fetchPage(baseFilter, anchor, 1, pageLimit);
+    messages = page.messages;
+    hasMoreAfter = page.hasMore;
+    hasMoreBefore = true; // the anchor itself is older
+  } else if (around) {
+    // Anchor in the middle: jump-to-message from search results or replies
+    const beforeLimit = Math.floor((pageLimit - 1) / 2);
+    const afterLimit = pageLimit - 1 - beforeLimit;
+    const [older, newer, anchorMessage] = await Promise.all([
+      fetchPage(baseFilter, anchor, -1, beforeLimit),
+      fetchPage(baseFilter, anchor, 1, afterLimit),
+      Message.findOne({ ...baseFilter, _id: anchor._id })
+        .select(HIDDEN_MESSAGE_FIELDS)
+        .populate('senderId', PARTICIPANT_FIELDS)
+        .populate('receiverId', PARTICIPANT_FIELDS)
+        .lean(),
+    ]);
+    messages = [...older.messages, ...(anchorMessage ? [anchorMessage] : []), ...newer.messages];
+    hasMoreBefore = older.hasMore;
+    hasMoreAfter = newer.hasMore;
+  } else {
+    const page = await fetchPage(baseFilter, anchor, -1, pageLimit);
+    messages = page.messages;
+    hasMoreBefore = page.hasMore;
+    hasMoreAfter = Boolean(before);
+  }
+
+  return {
+    messages: messages.map((m) => withReceiptStatus(withReactionSummary(m, userId))),
+    pagination: {
+      limit: pageLimit,
+      hasMoreBefore,
+      hasMoreAfter,
+      // Pass as before / after to load the neighbouring pages
+      beforeCursor: messages.length ? messages[0]._id : null,
+      afterCursor: messages.length ? messages[messages.length - 1]._id : null,
+    },
+  };
+};
+
+module.exports = {
+  fetchMessagePage,
+};
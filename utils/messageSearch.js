@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { PARTICIPANT_FIELDS, idOf } = require('./groupChat');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_LENGTH = 120;
+const SEARCHABLE_TYPES = ['text', 'image', 'file'];
+
+const parseLimit = (limit) => Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words the text index matched on: quoted phrases count word by word, negated terms are never shown
+const searchTerms = (query) =>
+  query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .flatMap((word) => word.split(/[^\p{L}\p{N}]+/u))
+    .filter(Boolean);
+
+/**
+ * Cut a window of the message around the first matched term and report where
+ * every term occurs inside it. Offsets are UTF-16 indexes into snippet.
+ *
+ * @returns {{ snippet: string, highlights: { start: number, end: number }[] }}
+ */
+const buildSnippet = (text, terms) => {
+  const source = text || '';
+  if (terms.length === 0) {
+    return { snippet: source.slice(0, SNIPPET_LENGTH), highlights: [] };
+  }
+
+  // Whole words only, like the text index
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+
+  const matches = [...source.matchAll(pattern)];
+  const firstMatch = matches.length ? matches[0].index : 0;
+
+  let start = Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const highlights = matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .map((m) => ({
+      start: m.index - start + prefix.length,
+      end: m.index - start + prefix.length + m[0].length,
+    }));
+
+  return { snippet: `${prefix}${source.slice(start, end)}${suffix}`, highlights };
+};
+
+// Chat info shown next to each result
+const formatChatContext = (chat, userId) => {
+  if (chat.isGroup) {
+    return {
+      chatId: chat._id,
+      isGroup: true,
+      name: chat.name,
+      avatar: chat.avatar,
+      otherUser: null,
+    };
+  }
+
+  const otherUser = chat.participants.find((p) => idOf(p) !== userId.toString()) || null;
+  return {
+    chatId: chat._id,
+    isGroup: false,
+    name: null,
+    avatar: null,
+    otherUser,
+  };
+};
+
+/**
+ * Full-text search over every chat the user participates in, newest first.
+ * Options: q (required), chatId, senderId, from, to (dates), messageType, limit (default 20, max 50),
+ * before (message id from the previous page's nextCursor).
+ * Messages deleted for everyone or for this user and system messages are never returned.
+ *
+ * @returns {Promise<{ status?: number, error?: string, results?: object[], pagination?: object }>}
+ */
+const searchMessages = async (userId, { q, chatId, senderId, from, to, messageType, limit, before } = {}) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+  if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+    return { status: 400, error: `q must be ${MIN_QUERY_LENGTH}-${MAX_QUERY_LENGTH} characters` };
+  }
+
+  if (chatId && !mongoose.isValidObjectId(chatId)) {
+    return { status: 400, error: 'Invalid chat ID' };
+  }
+
+  if (senderId && !mongoose.isValidObjectId(senderId)) {
+    return { status: 400, error: 'Invalid sender ID' };
+  }
+
+  if (messageType && !SEARCHABLE_TYPES.includes(messageType)) {
+    return { status: 400, error: `messageType must be one of ${SEARCHABLE_TYPES.join(', ')}` };
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return { status: 400, error: 'from and to must be valid dates' };
+  }
+
+  const chatFilter = { participants: userId };
+  if (chatId) chatFilter._id = chatId;
+
+  const chats = await Chat.find(chatFilter)
+    .select('isGroup name avatar participants')
+    .populate('participants', PARTICIPANT_FIELDS)
+    .lean();
+
+  if (chatId && chats.length === 0) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  const pageLimit = parseLimit(limit);
+  const emptyPage = { results: [], pagination: { limit: pageLimit, hasMore: false, nextCursor: null } };
+  if (chats.length === 0) return emptyPage;
+
+  const filter = {
+    $text: { $search: query },
+    chatId: { $in: chats.map((c) => c._id) },
+    messageType: { $ne: 'system' },
+    isDeleted: { $ne: true },
+    deletedFor: { $ne: userId },
+  };
+  if (senderId) filter.senderId = senderId;
+  if (messageType) filter.messageType = messageType;
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  if (before) {
+    const anchor = mongoose.isValidObjectId(before)
+      ? await Message.findOne({ _id: before, chatId: filter.chatId }).select('createdAt').lean()
+      : null;
+    if (!anchor) {
+      return { status: 400, error: 'Cursor message not found' };
+    }
+    filter.$or = [
+      { createdAt: { $lt: anchor.createdAt } },
+      { createdAt: anchor.createdAt, _id: { $lt: anchor._id } },
+    ];
+  }
+
+  const docs = await Message.find(filter)
+    .select('chatId senderId messageType message attachment replyTo editedAt createdAt')
+    .populate('senderId', PARTICIPANT_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageLimit + 1)
+    .lean();
+
+  const hasMore = docs.length > pageLimit;
+  const page = hasMore ? docs.slice(0, pageLimit) : docs;
+
+  const chatsById = new Map(chats.map((c) => [c._id.toString(), c]));
+  const terms = searchTerms(query);
+
+  return {
+    results: page.map((message) => ({
+      message,
+      ...buildSnippet(message.message, terms),
+      chat: formatChatContext(chatsById.get(message.chatId.toString()), userId),
+    })),
+    pagination: {
+      limit: pageLimit,
+      hasMore,
+      // Pass as before to load older results
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+    },
+  };
+};
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  SEARCHABLE_TYPES,
+  searchMessages,
+};
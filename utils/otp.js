@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const OTP = require('../models/OTP');
+const { generateOTP } = require('./otpGenerator');
+const { getSmsProvider } = require('../config/sms');
+const { normalizePhoneNumber } = require('./phone');
+
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+// Minimum wait before another code can be requested for the same number
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS, 10) || 60;
+
+// Fixed code, accepted only for the allow-listed test numbers (OTP_TEST_NUMBERS, comma-separated)
+const FIXED_OTP = process.env.DEV_OTP || '468026';
+const TEST_NUMBERS = new Set(
+  (process.env.OTP_TEST_NUMBERS || '')
+    .split(',')
+    .map((n) => normalizePhoneNumber(n))
+    .filter(Boolean)
+);
+
+const isTestNumber = (mobileNumber) => TEST_NUMBERS.has(mobileNumber);
+
+// Keyed with a server secret: a leaked OTP collection can't be brute-forced over the 10^6 codes
+const hashOTP = (mobileNumber, otp) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || '')
+    .update(`${mobileNumber}:${otp}`)
+    .digest('hex');
+
+const hashesMatch = (given, expected) =>
+  given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+
+/**
+ * Issue a new code and send it by SMS. Earlier unused codes for the number stop working.
+ * Test numbers get nothing sent; they log in with the fixed code.
+ *
+ * @returns {Promise<{ status?: number, error?: string, retryAfter?: number, expiresAt?: Date }>}
+ */
+const issueOTP = async (mobileNumber) => {
+  if (isTestNumber(mobileNumber)) {
+    return { expiresAt: null };
+  }
+
+  const recent = await OTP.findOne({
+    mobileNumber,
+    isUsed: false,
+    createdAt: { $gt: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) },
+  })
+    .select('createdAt')
+    .lean();
+  if (recent) {
+    const retryAfter = Math.ceil((recent.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    return { status: 429, error: 'Please wait before requesting another OTP', retryAfter };
+  }
+
+  const provider = getSmsProvider();
+  const otp = provider.checksCodes ? null : generateOTP();
+
+  await OTP.deleteMany({ mobileNumber, isUsed: false });
+  const record = await OTP.create({
+    mobileNumber,
+    otpHash: otp ? hashOTP(mobileNumber, otp) : null,
+  });
+
+  try {
+    await provider.sendOTP(mobileNumber, otp);
+  } catch (error) {
+    await OTP.deleteOne({ _id: record._id });
+    throw error;
+  }
+
+  return { expiresAt: record.expiresAt };
+};
+
+/**
+ * Check a code: must be the latest issued one, unexpired, unused, and within OTP_MAX_ATTEMPTS tries.
+ * A correct code is consumed.
+ *
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+const verifyOTP = async (mobileNumber, otp) => {
+  const code = String(otp).trim();
+
+  if (isTestNumber(mobileNumber)) {
+    return code === FIXED_OTP ? {} : { status: 400, error: 'Invalid or expired OTP' };
+  }
+
+  // Count the attempt before checking, so parallel guesses can't exceed the limit
+  const record = await OTP.findOneAndUpdate(
+    { mobileNumber, isUsed: false, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!record) {
+    return { status: 400, error: 'Invalid or expired OTP' };
+  }
+
+  if (record.attempts > OTP_MAX_ATTEMPTS) {
+    return { status: 429, error: 'Too many attempts, request a new OTP' };
+  }
+
+  const valid = record.otpHash
+    ? hashesMatch(hashOTP(mobileNumber, code), record.otpHash)
+    : await getSmsProvider().verifyOTP(mobileNumber, code);
+
+  if (!valid) {
+    return { status: 400, error: 'Invalid or expired OTP' };
+  }
+
+  // Single use, even if the same code is submitted twice at once
+  const { modifiedCount } = await OTP.updateOne({ _id: record._id, isUsed: false }, { $set: { isUsed: true } });
+  if (!modifiedCount) {
+    return { status: 400, error: 'Invalid or expired OTP' };
+  }
+
+  return {};
+};
+
+module.exports = {
+  issueOTP,
+  verifyOTP,
+};
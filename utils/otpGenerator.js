@@ -1,17 +1,8 @@
-// Simple OTP generator (6 digits)
+const crypto = require('crypto');
+
+// OTP generator (6 digits), from a cryptographically secure source
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
-// Alternative: Using otp-generator package if installed
-// const otpGenerator = require('otp-generator');
-// const generateOTP = () => {
-//   return otpGenerator.generate(6, { 
-//     upperCaseAlphabets: false, 
-//     lowerCaseAlphabets: false, 
-//     specialChars: false 
-//   });
-// };
-
 module.exports = { generateOTP };
-
@@ -0,0 +1,35 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// Region for numbers typed without a country code (ISO 3166-1 alpha-2)
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'IN').toUpperCase();
+
+const REGION_PATTERN = /^[A-Z]{2}$/;
+
+const toRegion = (region) => {
+  const value = typeof region === 'string' ? region.trim().toUpperCase() : '';
+  return REGION_PATTERN.test(value) ? value : DEFAULT_PHONE_REGION;
+};
+
+/**
+ * Normalize a phone number to E.164 (+919876543210). Accepts E.164, international (00 ...)
+ * and local formats with spaces, dashes or brackets; local numbers are read in `region`
+ * (default DEFAULT_PHONE_REGION).
+ * @returns {string|null} null when it isn't a valid number
+ */
+const normalizePhoneNumber = (input, region) => {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+  const value = String(input).trim();
+  if (!value || value.length > 32) return null;
+
+  const phone = parsePhoneNumberFromString(value, toRegion(region));
+  return phone && phone.isValid() ? phone.number : null;
+};
+
+// Region of a stored E.164 number, used as the default for numbers that user types (search, contacts)
+const regionOf = (e164) => parsePhoneNumberFromString(String(e164 || ''))?.country || DEFAULT_PHONE_REGION;
+
+module.exports = {
+  DEFAULT_PHONE_REGION,
+  normalizePhoneNumber,
+  regionOf,
+};
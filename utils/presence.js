@@ -0,0 +1,139 @@
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { getStateStore } = require('../config/stateStore');
+const { userRoom } = require('./groupChat');
+const { getBlockRelations } = require('./blocking');
+
+const LAST_SEEN_PRIVACY = ['everyone', 'contacts', 'nobody'];
+const MAX_PRESENCE_USERS = 200;
+
+/*
+ * Online / last-seen presence. Online state comes from the state store (shared by all instances);
+ * lastSeenAt is persisted on User when the last device disconnects.
+ * Presence is only visible between users who share a chat; "contacts" (for the last-seen privacy
+ * setting) are users who share a direct chat. Blocked users (either way) never see each other's presence.
+ */
+
+// Subscribers of a user join one of two rooms, so contacts and others can get different last-seen visibility
+const presenceRoom = (userId, audience) => `presence:${userId}:${audience}`;
+
+/**
+ * Everyone the user shares a chat with, minus blocked users.
+ * @returns {Promise<{ partners: Set<string>, contacts: Set<string> }>} contacts: direct chats only
+ */
+const getChatPartners = async (userId) => {
+  const me = userId.toString();
+  const [chats, blocked] = await Promise.all([
+    Chat.find({ participants: userId }).select('participants isGroup').lean(),
+    getBlockRelations(userId),
+  ]);
+
+  const partners = new Set();
+  const contacts = new Set();
+  for (const chat of chats) {
+    for (const participant of chat.participants) {
+      const id = participant.toString();
+      if (id === me || blocked.has(id)) continue;
+      partners.add(id);
+      if (!chat.isGroup) contacts.add(id);
+    }
+  }
+  return { partners, contacts };
+};
+
+const lastSeenVisible = (user, isContact) => {
+  const privacy = user.privacy?.lastSeen || 'everyone';
+  return privacy === 'everyone' || (privacy === 'contacts' && isContact);
+};
+
+// lastSeenAt is null while online or when the user's privacy setting hides it from this viewer
+const formatPresence = (user, online, isContact) => ({
+  userId: user._id,
+  online,
+  lastSeenAt: !online && lastSeenVisible(user, isContact) ? user.lastSeenAt : null,
+});
+
+const loadPresence = async (ids, contacts) => {
+  if (ids.length === 0) return [];
+  const [users, online] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('lastSeenAt privacy').lean(),
+    getStateStore().getOnlineUserIds(ids),
+  ]);
+  return users.map((u) => formatPresence(u, online.has(u._id.toString()), contacts.has(u._id.toString())));
+};
+
+// Requested ids the viewer may see, deduplicated and capped
+const visibleIds = (userIds, partners) =>
+  [...new Set((userIds || []).map(String))]
+    .filter((id) => partners.has(id))
+    .slice(0, MAX_PRESENCE_USERS);
+
+/**
+ * Bulk presence (chat list). Users the viewer shares no chat with are left out.
+ * @returns {Promise<{ userId, online: boolean, lastSeenAt: Date|null }[]>}
+ */
+const getPresence = async (viewerId, userIds) => {
+  const { partners, contacts } = await getChatPartners(viewerId);
+  return loadPresence(visibleIds(userIds, partners), contacts);
+};
+
+/**
+ * Subscribe a socket to presence-changed for these users (only those it shares a chat with).
+ * @returns {Promise<object[]>} current presence of the subscribed users
+ */
+const subscribePresence = async (socket, userIds) => {
+  const { partners, contacts } = await getChatPartners(socket.userId);
+  const ids = visibleIds(userIds, partners);
+  for (const id of ids) {
+    socket.join(presenceRoom(id, contacts.has(id) ? 'contacts' : 'others'));
+  }
+  return loadPresence(ids, contacts);
+};
+
+const unsubscribePresence = (socket, userIds) => {
+  for (const id of (userIds || []).map(String)) {
+    socket.leave(presenceRoom(id, 'contacts'));
+    socket.leave(presenceRoom(id, 'others'));
+  }
+};
+
+// Tell subscribers about the user's current state (user needs _id, lastSeenAt and privacy)
+const broadcastPresence = (io, user, online) => {
+  if (!io) return;
+  for (const audience of ['contacts', 'others']) {
+    io.to(presenceRoom(user._id, audience)).emit(
+      'presence-changed',
+      formatPresence(user, online, audience === 'contacts')
+    );
+  }
+};
+
+// After a block: drop existing subscriptions in both directions on every instance
+const stopPresenceBetween = (io, userId, otherUserId) => {
+  if (!io) return;
+  const rooms = (id) => [presenceRoom(id, 'contacts'), presenceRoom(id, 'others')];
+  io.in(userRoom(userId)).socketsLeave(rooms(otherUserId));
+  io.in(userRoom(otherUserId)).socketsLeave(rooms(userId));
+};
+
+// Last device disconnected: persist last seen and notify subscribers
+const markOffline = async (io, userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { lastSeenAt: new Date() } },
+    { new: true }
+  ).select('lastSeenAt privacy').lean();
+  if (user) broadcastPresence(io, user, false);
+};
+
+module.exports = {
+  LAST_SEEN_PRIVACY,
+  MAX_PRESENCE_USERS,
+  getChatPartners,
+  getPresence,
+  subscribePresence,
+  unsubscribePresence,
+  broadcastPresence,
+  stopPresenceBetween,
+  markOffline,
+};
@@ -0,0 +1,61 @@
+const { emitToUsers } = require('./groupChat');
+const { getChatPartners } = require('./presence');
+
+const NAME_MAX_LENGTH = 50;
+const ABOUT_MAX_LENGTH = 140;
+
+// Profile as shown to other users (chat lists, search, profile-updated)
+const formatProfile = (user) => ({
+  _id: user._id,
+  mobileNumber: user.mobileNumber,
+  name: user.name,
+  about: user.about,
+  profilePicture: user.profilePicture,
+});
+
+/**
+ * Validate a profile edit. Only fields present in the body are changed.
+ * @returns {{ error?: string, updates?: { name?: string, about?: string } }}
+ */
+const parseProfileUpdate = ({ name, about } = {}) => {
+  const updates = {};
+
+  if (name !== undefined) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > NAME_MAX_LENGTH) {
+      return { error: `name must be 1-${NAME_MAX_LENGTH} characters` };
+    }
+    updates.name = trimmed;
+  }
+
+  if (about !== undefined) {
+    if (typeof about !== 'string' || about.trim().length > ABOUT_MAX_LENGTH) {
+      return { error: `about must be at most ${ABOUT_MAX_LENGTH} characters` };
+    }
+    updates.about = about.trim();
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'name or about is required' };
+  }
+
+  return { updates };
+};
+
+/**
+ * profile-updated to everyone who shares a chat with the user (blocked users excluded)
+ * and to the user's own devices.
+ */
+const broadcastProfileUpdate = async (io, user) => {
+  if (!io) return;
+  const { partners } = await getChatPartners(user._id);
+  emitToUsers(io, [user._id, ...partners], 'profile-updated', { user: formatProfile(user) });
+};
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  ABOUT_MAX_LENGTH,
+  formatProfile,
+  parseProfileUpdate,
+  broadcastProfileUpdate,
+};
@@ -0,0 +1,94 @@
+const { getStateStore } = require('../config/stateStore');
+
+/*
+ * Fixed-window rate limits, counted in the state store (config/stateStore.js), so with
+ * STATE_STORE=redis they hold across instances. Every rule has its own budgets per key type:
+ * ip, user (user id) and phone (E.164). A request is limited when any of its keys is over budget.
+ *
+ * RATE_LIMITS overrides budgets as rule.keyType=count/seconds, comma-separated,
+ * e.g. "send-otp.phone=3/3600,typing.user=40/10". RATE_LIMIT_ENABLED=false turns limiting off.
+ */
+const RATE_LIMIT_RULES = {
+  // REST
+  api: { ip: [1200, 60] }, // every /api request
+  'send-otp': { ip: [20, 3600], phone: [5, 3600] },
+  'verify-otp': { ip: [60, 3600], phone: [20, 3600] },
+  'refresh-token': { ip: [60, 60] },
+  search: { user: [30, 60], ip: [120, 60] },
+  'contacts-sync': { user: [30, 60] },
+  // Socket events
+  'socket-event': { user: [200, 10] }, // any event
+  'send-message': { user: [30, 10] },
+  typing: { user: [20, 10] }, // typing and stop-typing
+  'call-invite': { user: [10, 60] },
+};
+
+// Socket events with a budget of their own (event -> rule)
+const SOCKET_EVENT_RULES = {
+  'send-message': 'send-message',
+  typing: 'typing',
+  'stop-typing': 'typing',
+  'call-invite': 'call-invite',
+  'call-add': 'call-invite',
+};
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const OVERRIDE_PATTERN = /^([\w-]+)\.(ip|user|phone)=(\d+)\/(\d+)$/;
+
+(process.env.RATE_LIMITS || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .forEach((entry) => {
+    const match = entry.match(OVERRIDE_PATTERN);
+    if (!match || !RATE_LIMIT_RULES[match[1]] || Number(match[4]) === 0) {
+      console.warn(`Ignoring RATE_LIMITS entry "${entry}"`);
+      return;
+    }
+    const [, rule, keyType, count, seconds] = match;
+    RATE_LIMIT_RULES[rule][keyType] = [Number(count), Number(seconds)];
+  });
+
+/**
+ * Count one request against a rule. keys: { ip?, user?, phone? }; missing keys are not counted.
+ * Fails open (allows the request) when the state store is unreachable.
+ *
+ * @returns {Promise<{ status?: number, error?: string, retryAfter?: number }>}
+ */
+const checkRateLimit = async (rule, keys) => {
+  const budgets = RATE_LIMIT_RULES[rule];
+  if (!RATE_LIMIT_ENABLED || !budgets) return {};
+
+  try {
+    const store = getStateStore();
+    let retryAfter = 0;
+
+    await Promise.all(Object.entries(budgets).map(async ([keyType, [limit, seconds]]) => {
+      const value = keys[keyType];
+      if (!value) return;
+
+      const { count, resetAt } = await store.incrementCounter(`rate:${rule}:${keyType}:${value}`, seconds * 1000);
+      if (count > limit) {
+        retryAfter = Math.max(retryAfter, Math.ceil((resetAt - Date.now()) / 1000), 1);
+      }
+    }));
+
+    return retryAfter ? { status: 429, error: 'Too many requests, try again later', retryAfter } : {};
+  } catch (err) {
+    console.error('Rate limit check failed:', err.message);
+    return {};
+  }
+};
+
+// A socket event counts against the per-user budget for all events and, if it has one, its own
+const checkSocketRateLimit = async (userId, event) => {
+  const rules = ['socket-event', SOCKET_EVENT_RULES[event]].filter(Boolean);
+  const results = await Promise.all(rules.map((rule) => checkRateLimit(rule, { user: String(userId) })));
+  return results.find((result) => result.error) || {};
+};
+
+module.exports = {
+  checkRateLimit,
+  checkSocketRateLimit,
+};
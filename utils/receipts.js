@@ -0,0 +1,153 @@
+const Message = require('../models/Message');
+const { emitToUsers, userRoom } = require('./groupChat');
+const { recountUnread } = require('./unread');
+
+// How long a recipient's socket has to acknowledge new-message
+const DELIVERY_ACK_TIMEOUT_MS = parseInt(process.env.DELIVERY_ACK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Messages from others that still need a receipt from this user
+const pendingFilter = (chatId, userId, receiptField) => ({
+  chatId,
+  senderId: { $ne: userId },
+  messageType: { $ne: 'system' },
+  isDeleted: { $ne: true },
+  [`${receiptField}.userId`]: { $ne: userId },
+});
+
+// Notify each sender about their own messages only
+const emitToSenders = (io, pending, event, payload) => {
+  const bySender = new Map();
+  for (const m of pending) {
+    const senderId = m.senderId.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(m._id);
+  }
+  for (const [senderId, messageIds] of bySender) {
+    emitToUsers(io, [senderId], event, { ...payload, messageIds });
+  }
+};
+
+const pushReceipt = async (ids, userId, receiptField, at) => {
+  await Message.updateMany(
+    { _id: { $in: ids }, [`${receiptField}.userId`]: { $ne: userId } },
+    { $push: { [receiptField]: { userId, at } } }
+  );
+};
+
+// $expr: every recipient has this receipt (older messages may lack the fields)
+const allRecipientsHave = (receiptField) => ({
+  $gte: [
+    { $size: { $ifNull: [`$${receiptField}`, []] } },
+    { $ifNull: ['$recipientCount', 1] },
+  ],
+});
+
+// A message's status moves on once every recipient has the receipt
+const promoteStatus = async (ids, at) => {
+  await Message.updateMany(
+    { _id: { $in: ids }, status: { $nin: ['delivered', 'read'] }, $expr: allRecipientsHave('deliveredTo') },
+    { $set: { status: 'delivered', deliveredAt: at } }
+  );
+  await Message.updateMany(
+    { _id: { $in: ids }, status: { $ne: 'read' }, $expr: allRecipientsHave('readBy') },
+    { $set: { status: 'read', readAt: at, isRead: true } }
+  );
+};
+
+/**
+ * Record that messages in a chat reached this user's device.
+ * messageIds limits it to specific messages; without it every pending message in the chat is covered
+ * (used when the user fetches history). Senders receive message-delivered.
+ *
+ * @returns {Promise<string[]>} ids that were newly marked delivered
+ */
+const markDelivered = async (io, userId, chatId, messageIds) => {
+  const filter = pendingFilter(chatId, userId, 'deliveredTo');
+  if (messageIds) filter._id = { $in: messageIds };
+
+  const pending = await Message.find(filter).select('_id senderId').lean();
+  if (pending.length === 0) return [];
+
+  const ids = pending.map((m) => m._id);
+  const deliveredAt = new Date();
+
+  await pushReceipt(ids, userId, 'deliveredTo', deliveredAt);
+  await promoteStatus(ids, deliveredAt);
+
+  emitToSenders(io, pending, 'message-delivered', {
+    chatId,
+    userId,
+    deliveredAt,
+  });
+
+  return ids;
+};
+
+/**
+ * Mark every message up to and including the anchor as read by this user ("read up to X").
+ * Read implies delivered. Senders receive message-read.
+ *
+ * @returns {Promise<string[]>} ids that were newly marked read
+ */
+const markReadUpTo = async (io, userId, chatId, anchorMessageId) => {
+  const anchor = await Message.findOne({ _id: anchorMessageId, chatId }).select('createdAt').lean();
+  if (!anchor) return [];
+
+  const pending = await Message.find({
+    ...pendingFilter(chatId, userId, 'readBy'),
+    createdAt: { $lte: anchor.createdAt },
+  })
+    .select('_id senderId')
+    .lean();
+  if (pending.length === 0) return [];
+
+  const ids = pending.map((m) => m._id);
+  const readAt = new Date();
+
+  await pushReceipt(ids, userId, 'deliveredTo', readAt);
+  await pushReceipt(ids, userId, 'readBy', readAt);
+  await promoteStatus(ids, readAt);
+
+  emitToSenders(io, pending, 'message-read', {
+    chatId,
+    userId,
+    readAt,
+  });
+
+  await recountUnread(io, chatId, userId);
+
+  return ids;
+};
+
+/**
+ * Emit new-message to each recipient and mark it delivered for every recipient whose socket
+ * acknowledges it (client calls the ack callback) within DELIVERY_ACK_TIMEOUT_MS.
+ */
+const emitNewMessage = (io, recipientIds, payload) => {
+  if (!io) return;
+  const messageId = payload.message._id;
+
+  for (const recipientId of recipientIds) {
+    const id = (recipientId._id ?? recipientId).toString();
+    io.to(userRoom(id))
+      .timeout(DELIVERY_ACK_TIMEOUT_MS)
+      .emit('new-message', payload, (err, responses) => {
+        if (!responses || responses.length === 0) return;
+        markDelivered(io, id, payload.chatId, [messageId])
+          .catch((e) => console.error('Error marking message delivered:', e.message));
+      });
+  }
+};
+
+// Messages stored before receipts existed only have isRead
+const withReceiptStatus = (message) => ({
+  ...message,
+  status: message.status || (message.isRead ? 'read' : 'sent'),
+});
+
+module.exports = {
+  withReceiptStatus,
+  markDelivered,
+  markReadUpTo,
+  emitNewMessage,
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('./jwt');
+
+const PLATFORMS = ['ios', 'android', 'web', 'desktop'];
+// How long the token a rotation replaced keeps working (a socket and a REST call refreshing at once)
+const REFRESH_TOKEN_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS, 10) || 30;
+
+/*
+ * Per-device sessions. Each logged-in device has its own refresh token and FCM token;
+ * access and refresh tokens carry the sessionId. Tokens issued before sessions existed
+ * (no sessionId) are checked against User.refreshToken, which holds their hash
+ * (scripts/hash-refresh-tokens.js), and move into a session on their first refresh.
+ *
+ * Refresh tokens rotate on every refresh and only their SHA-256 is stored. A session is one token
+ * family: presenting a token it already rotated away from (after the grace period) revokes the session.
+ */
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Every socket of a session joins this room, so revoking can disconnect exactly that device
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const normalizeDevice = ({ deviceId, deviceName, platform } = {}) => ({
+  deviceId: typeof deviceId === 'string' && deviceId.trim() ? deviceId.trim().slice(0, 128) : null,
+  deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, 100) : '',
+  platform: PLATFORMS.includes(platform) ? platform : 'unknown',
+});
+
+// Session as listed to its owner
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  hasPushToken: Boolean(session.fcmToken),
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+});
+
+/**
+ * Delete a session and disconnect its sockets (they receive session-revoked first).
+ * @returns {Promise<boolean>} false if the session doesn't exist or belongs to someone else
+ */
+const revokeSession = async (io, userId, sessionId) => {
+  const { deletedCount } = await Session.deleteOne({ _id: sessionId, userId });
+  if (!deletedCount) return false;
+
+  if (io) {
+    const room = sessionRoom(sessionId);
+    io.to(room).emit('session-revoked', { sessionId });
+    io.in(room).disconnectSockets(true);
+  }
+  return true;
+};
+
+// "Log out all other devices"
+const revokeOtherSessions = async (io, userId, keepSessionId) => {
+  const filter = { userId };
+  if (keepSessionId) filter._id = { $ne: keepSessionId };
+
+  const sessions = await Session.find(filter).select('_id').lean();
+  await Promise.all(sessions.map((s) => revokeSession(io, userId, s._id)));
+  return sessions.length;
+};
+
+/**
+ * Start a session for a device and issue its token pair.
+ * Logging in again with the same deviceId replaces that device's previous session.
+ *
+ * @param {object} device - { deviceId?, deviceName?, platform? } from the client
+ * @param {object} [legacy] - { fcmToken, previousTokenHash } carried over when upgrading a legacy login
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string }>}
+ */
+const createSession = async (io, userId, device, { fcmToken = null, previousTokenHash = null } = {}) => {
+  const { deviceId, deviceName, platform } = normalizeDevice(device);
+
+  if (deviceId) {
+    const previous = await Session.find({ userId, deviceId }).select('_id').lean();
+    await Promise.all(previous.map((s) => revokeSession(io, userId, s._id)));
+  }
+
+  const session = new Session({ userId, deviceId, deviceName, platform, fcmToken });
+  if (previousTokenHash) {
+    // The legacy token counts as rotated out of this session, so presenting it again is reuse
+    session.previousTokenHash = previousTokenHash;
+    session.rotatedAt = new Date();
+  }
+  const refreshToken = generateRefreshToken(userId, session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+// The token the session's last rotation replaced, presented within the grace period
+const inGracePeriod = (session, tokenHash) =>
+  tokenHash === session.previousTokenHash
+  && Boolean(session.rotatedAt)
+  && Date.now() - session.rotatedAt.getTime() < REFRESH_TOKEN_GRACE_SECONDS * 1000;
+
+const revokeReusedSession = async (io, user, session) => {
+  console.warn('Refresh token reuse detected; revoking session', {
+    userId: user._id.toString(),
+    sessionId: session._id.toString(),
+  });
+  await revokeSession(io, user._id, session._id);
+};
+
+/**
+ * Check a refresh token against its session (or User.refreshToken for pre-session tokens).
+ * A rotated-out token of a live session is treated as stolen: the session is revoked.
+ * So is a pre-session token presented again after it was moved into a session.
+ * @returns {Promise<{ user: object, session: object|null } | null>}
+ */
+const resolveRefreshToken = async (io, refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded) return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) return null;
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (!decoded.sessionId) {
+    if (user.refreshToken && user.refreshToken === tokenHash) return { user, session: null };
+
+    const upgraded = await Session.findOne({ userId: user._id, previousTokenHash: tokenHash });
+    if (upgraded && !inGracePeriod(upgraded, tokenHash)) {
+      await revokeReusedSession(io, user, upgraded);
+    }
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: decoded.sessionId, userId: user._id });
+  if (!session) return null;
+
+  if (tokenHash === session.refreshTokenHash || inGracePeriod(session, tokenHash)) {
+    return { user, session };
+  }
+
+  await revokeReusedSession(io, user, session);
+  return null;
+};
+
+/**
+ * Issue a new token pair for a session; its current refresh token becomes the previous one.
+ * Concurrent rotations are serialized on the stored hash, so no issued token gets lost.
+ * @returns {Promise<{ accessToken: string, refreshToken: string } | null>} null if the session is gone
+ */
+const rotateSession = async (sessionId) => {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const session = await Session.findById(sessionId).select('userId refreshTokenHash').lean();
+    if (!session) return null;
+
+    const refreshToken = generateRefreshToken(session.userId, session._id);
+    const now = new Date();
+    const { modifiedCount } = await Session.updateOne(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+      {
+        $set: {
+          refreshTokenHash: hashToken(refreshToken),
+          previousTokenHash: session.refreshTokenHash,
+          rotatedAt: now,
+          lastSeenAt: now,
+        },
+      }
+    );
+
+    if (modifiedCount) {
+      return { accessToken: generateAccessToken(session.userId, session._id), refreshToken };
+    }
+  }
+
+  throw new Error('Could not rotate refresh token');
+};
+
+/**
+ * Move a pre-session login (User.refreshToken / User.fcmToken) into a Session.
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string } | null>} null if
+ *   a concurrent refresh already moved it
+ */
+const upgradeLegacyLogin = async (io, user, device) => {
+  // Claim the legacy token first, so two refreshes racing with it can't both get a session
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, refreshToken: user.refreshToken },
+    { $set: { refreshToken: null, fcmToken: null } }
+  );
+  if (!modifiedCount) return null;
+
+  return createSession(io, user._id, device, {
+    fcmToken: user.fcmToken,
+    previousTokenHash: user.refreshToken,
+  });
+};
+
+const touchSession = (sessionId) =>
+  Session.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date() } });
+
+/**
+ * Attach an FCM token to a session. A token belongs to one device, so it is removed
+ * from any other session first (e.g. a different account used on the same phone).
+ */
+const registerFcmToken = async (sessionId, fcmToken) => {
+  if (fcmToken) {
+    await Session.updateMany({ fcmToken, _id: { $ne: sessionId } }, { $set: { fcmToken: null } });
+    await User.updateMany({ fcmToken }, { $set: { fcmToken: null } });
+  }
+  await Session.updateOne({ _id: sessionId }, { $set: { fcmToken, lastSeenAt: new Date() } });
+};
+
+/**
+ * FCM tokens of every device of each user.
+ * @returns {Promise<Map<string, string[]>>} userId -> tokens (users without tokens are absent)
+ */
+const getPushTokens = async (userIds) => {
+  const ids = userIds.map((id) => (id._id ?? id).toString());
+  const tokens = new Map();
+  const add = (userId, token) => {
+    const key = userId.toString();
+    if (!tokens.has(key)) tokens.set(key, []);
+    if (!tokens.get(key).includes(token)) tokens.get(key).push(token);
+  };
+
+  const [sessions, legacyUsers] = await Promise.all([
+    Session.find({ userId: { $in: ids }, fcmToken: { $ne: null } }).select('userId fcmToken').lean(),
+    User.find({ _id: { $in: ids }, fcmToken: { $ne: null } }).select('fcmToken').lean(),
+  ]);
+
+  sessions.forEach((s) => add(s.userId, s.fcmToken));
+  legacyUsers.forEach((u) => add(u._id, u.fcmToken));
+  return tokens;
+};
+
+/**
+ * Send a push to every device of a user. send(token) is one of the config/firebase senders.
+ * @returns {Promise<boolean>} true if at least one device accepted it
+ */
+const pushToUser = async (userId, send) => {
+  const tokens = (await getPushTokens([userId])).get((userId._id ?? userId).toString()) || [];
+  const results = await Promise.all(tokens.map((token) => send(token).catch((err) => {
+    console.error('FCM: Push error:', err.message);
+    return false;
+  })));
+  return results.some(Boolean);
+};
+
+module.exports = {
+  PLATFORMS,
+  hashToken,
+  sessionRoom,
+  formatSession,
+  createSession,
+  resolveRefreshToken,
+  rotateSession,
+  upgradeLegacyLogin,
+  touchSession,
+  registerFcmToken,
+  revokeSession,
+  revokeOtherSessions,
+  getPushTokens,
+  pushToUser,
+};
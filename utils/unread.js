@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitToUsers } = require('./groupChat');
+
+/*
+ * Per-user unread counters live on Chat.unreadCounts so the chat list never has to count messages.
+ * Sends increment them; reads and deletes recount the one affected chat. Each user's total
+ * (User.unreadTotal) moves by the same amounts, and is recounted from the chats on connect.
+ */
+
+const unreadCountFor = (chat, userId) => {
+  const counts = chat.unreadCounts;
+  if (!counts) return 0;
+  const key = userId.toString();
+  const value = counts instanceof Map ? counts.get(key) : counts[key];
+  return value > 0 ? value : 0;
+};
+
+// Sum of the user's counters across all chats (app badge), recounted and stored as User.unreadTotal
+const getTotalUnread = async (userId) => {
+  const key = `unreadCounts.${userId}`;
+  const [result] = await Chat.aggregate([
+    // aggregate() doesn't cast, so convert string ids here
+    { $match: { participants: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, total: { $sum: { $ifNull: [`$${key}`, 0] } } } },
+  ]);
+  const total = Math.max(0, result?.total || 0);
+  await User.updateOne({ _id: userId }, { $set: { unreadTotal: total } });
+  return total;
+};
+
+const emitUnreadUpdate = (io, userId, chatId, unreadCount, totalUnread) => {
+  emitToUsers(io, [userId], 'unread-updated', {
+    chatId,
+    unreadCount,
+    totalUnread,
+  });
+};
+
+/**
+ * A message was sent: bump the counter of every recipient and tell them.
+ * @returns {Promise<Map<string, { unreadCount: number, totalUnread: number }>>} per recipient, for push badges
+ */
+const incrementUnread = async (io, chatId, recipientIds) => {
+  const ids = recipientIds.map((id) => (id._id ?? id).toString());
+  const inc = {};
+  for (const id of ids) inc[`unreadCounts.${id}`] = 1;
+
+  const chat = await Chat.findByIdAndUpdate(chatId, { $inc: inc }, { new: true }).select('unreadCounts').lean();
+  if (!chat) return new Map();
+
+  // Totals move with the counters: two queries however many recipients
+  await User.updateMany({ _id: { $in: ids } }, { $inc: { unreadTotal: 1 } });
+  const users = await User.find({ _id: { $in: ids } }).select('unreadTotal').lean();
+  const totals = new Map(users.map((u) => [u._id.toString(), Math.max(0, u.unreadTotal || 0)]));
+
+  const result = new Map();
+  for (const id of ids) {
+    const unreadCount = unreadCountFor(chat, id);
+    const totalUnread = totals.get(id) || 0;
+    emitUnreadUpdate(io, id, chatId, unreadCount, totalUnread);
+    result.set(id, { unreadCount, totalUnread });
+  }
+  return result;
+};
+
+/**
+ * Recount one user's unread messages in one chat (after read or delete) and tell them.
+ */
+const recountUnread = async (io, chatId, userId) => {
+  const unreadCount = await Message.countDocuments({
+    chatId,
+    senderId: { $ne: userId },
+    messageType: { $ne: 'system' },
+    isDeleted: { $ne: true },
+    deletedFor: { $ne: userId },
+    'readBy.userId': { $ne: userId },
+  });
+
+  const before = await Chat.findOneAndUpdate(
+    { _id: chatId },
+    { $set: { [`unreadCounts.${userId}`]: unreadCount } },
+    { new: false }
+  ).select('unreadCounts').lean();
+
+  const delta = unreadCount - (before ? unreadCountFor(before, userId) : 0);
+  const user = await User.findByIdAndUpdate(userId, { $inc: { unreadTotal: delta } }, { new: true })
+    .select('unreadTotal')
+    .lean();
+  emitUnreadUpdate(io, userId, chatId, unreadCount, Math.max(0, user?.unreadTotal || 0));
+  return unreadCount;
+};
+
+module.exports = {
+  unreadCountFor,
+  getTotalUnread,
+  incrementUnread,
+  recountUnread,
+};
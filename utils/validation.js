@@ -0,0 +1,106 @@
+const Ajv = require('ajv');
+
+/*
+ * Input validation against the JSON Schemas in schemas/ (REST routes and socket events).
+ * Valid input is cleaned in place: unknown fields are stripped and defaults filled in.
+ * Query strings and path params are also coerced to the schema's types ("20" -> 20).
+ *
+ * Invalid input gives { status: 400, code: 'VALIDATION_ERROR', error, errors }, where each entry of
+ * errors is { in, field, code, message } and code is one of VALIDATION_CODES.
+ */
+
+const OPTIONS = { allErrors: true, removeAdditional: true, useDefaults: true, verbose: true };
+const ajv = new Ajv(OPTIONS);
+const coercingAjv = new Ajv({ ...OPTIONS, coerceTypes: true });
+
+// ajv keyword -> error code
+const VALIDATION_CODES = {
+  required: 'required',
+  dependencies: 'required',
+  type: 'invalid_type',
+  enum: 'invalid_value',
+  const: 'invalid_value',
+  pattern: 'invalid_format',
+  format: 'invalid_format',
+  minLength: 'too_short',
+  minItems: 'too_short',
+  maxLength: 'too_long',
+  maxItems: 'too_long',
+  minimum: 'too_small',
+  maximum: 'too_large',
+};
+
+// Compiled validators, per schema object
+const compiled = { plain: new WeakMap(), coercing: new WeakMap() };
+
+const getValidator = (schema, coerce) => {
+  const cache = coerce ? compiled.coercing : compiled.plain;
+  if (!cache.has(schema)) {
+    cache.set(schema, (coerce ? coercingAjv : ajv).compile(schema));
+  }
+  return cache.get(schema);
+};
+
+// "/contacts/3" -> "contacts[3]"
+const fieldName = (instancePath, property) =>
+  [...instancePath.split('/').slice(1), ...(property ? [property] : [])]
+    .map((part, i) => (/^\d+$/.test(part) ? `[${part}]` : `${i ? '.' : ''}${part}`))
+    .join('');
+
+const toError = (location, field, code, message) => ({
+  in: location,
+  field,
+  code,
+  message: `${field || location} ${message}`,
+});
+
+const formatErrors = (ajvErrors, location) => {
+  // "One of these is required" (anyOf of required lists) is reported once, not per branch
+  const alternatives = ajvErrors.filter(
+    (e) => e.keyword === 'anyOf' && e.parentSchema.anyOf.every((branch) => branch.required)
+  );
+  const isBranchError = (e) => alternatives.some((alt) => e.schemaPath.startsWith(`${alt.schemaPath}/`));
+
+  return ajvErrors
+    .filter((e) => !isBranchError(e))
+    .map((e) => {
+      if (alternatives.includes(e)) {
+        const names = e.parentSchema.anyOf.flatMap((branch) => branch.required);
+        return { in: location, field: fieldName(e.instancePath), code: 'required', message: `${names.join(' or ')} is required` };
+      }
+      if (e.keyword === 'required' || e.keyword === 'dependencies') {
+        return toError(location, fieldName(e.instancePath, e.params.missingProperty), 'required', 'is required');
+      }
+      // Patterns are named by their schema's title instead of echoing the regex
+      if (e.keyword === 'pattern' && e.parentSchema.title) {
+        return toError(location, fieldName(e.instancePath), 'invalid_format', `must be a valid ${e.parentSchema.title}`);
+      }
+      if (e.keyword === 'enum') {
+        return toError(location, fieldName(e.instancePath), 'invalid_value', `must be one of ${e.params.allowedValues.join(', ')}`);
+      }
+      return toError(location, fieldName(e.instancePath), VALIDATION_CODES[e.keyword] || 'invalid', e.message);
+    });
+};
+
+/**
+ * Validate input against a schema, cleaning it in place. Missing input counts as {}.
+ * location ('body' | 'query' | 'params' | 'payload') is reported with each error; query and params are coerced.
+ *
+ * @returns {{ value?: any, status?: number, code?: string, error?: string, errors?: object[] }}
+ */
+const validateInput = (schema, input, location = 'body') => {
+  const value = input === undefined || input === null ? {} : input;
+  const validator = getValidator(schema, location === 'query' || location === 'params');
+
+  if (validator(value)) {
+    return { value };
+  }
+
+  const errors = formatErrors(validator.errors, location);
+  return { status: 400, code: 'VALIDATION_ERROR', error: errors[0].message, errors };
+};
+
+module.exports = {
+  VALIDATION_CODES,
+  validateInput,
+};